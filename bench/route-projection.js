@@ -0,0 +1,98 @@
+// Benchmark: nearest-point projection with turf.nearestPointOnLine vs RouteIndex
+// Usage: node bench/route-projection.js [routeKm] [candidates]
+//
+// Generates a deterministic fixture shaped like an editableRoute (a meandering
+// loop with a point roughly every 10 m and cumulative distances in meters) plus
+// brunnel-like points scattered within 200 m of it, then projects every point
+// both ways and checks that the results agree.
+
+const turf = require('../js/turf-csp.js');
+const RouteIndex = require('../js/route-index.js');
+
+const routeKm = parseFloat(process.argv[2]) || 100;
+const candidateCount = parseInt(process.argv[3], 10) || 500;
+
+// Small deterministic PRNG so runs are comparable
+function mulberry32(seed) {
+  return function() {
+    seed |= 0;
+    seed = seed + 0x6D2B79F5 | 0;
+    let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+function buildFixture() {
+  const random = mulberry32(42);
+  const stepMeters = 10;
+  const steps = Math.round(routeKm * 1000 / stepMeters);
+  const coordinates = [];
+  let lat = 45.5;
+  let lon = 7.2;
+  let heading = 0;
+  let distance = 0;
+
+  for (let i = 0; i <= steps; i++) {
+    coordinates.push({ lat, lon, elevation: 0, distance });
+    // Slowly turning heading gives loops and switchbacks
+    heading += (random() - 0.5) * 0.3 + 2 * Math.PI / steps;
+    const dLat = stepMeters * Math.cos(heading) / 111195;
+    const dLon = stepMeters * Math.sin(heading) / (111195 * Math.cos(lat * Math.PI / 180));
+    distance += turf.distance([lon, lat], [lon + dLon, lat + dLat], { units: 'meters' });
+    lat += dLat;
+    lon += dLon;
+  }
+
+  const candidates = [];
+  for (let i = 0; i < candidateCount; i++) {
+    const base = coordinates[Math.floor(random() * coordinates.length)];
+    const offset = 200 * random();
+    const angle = 2 * Math.PI * random();
+    candidates.push([
+      base.lon + offset * Math.sin(angle) / (111195 * Math.cos(base.lat * Math.PI / 180)),
+      base.lat + offset * Math.cos(angle) / 111195
+    ]);
+  }
+
+  return { coordinates, candidates };
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+const { coordinates, candidates } = buildFixture();
+const line = turf.lineString(coordinates.map(c => [c.lon, c.lat]));
+
+console.log(`Route: ${coordinates.length} points (${routeKm} km), ${candidates.length} candidate points`);
+
+const brute = time(() => candidates.map(pt => {
+  const nearest = turf.nearestPointOnLine(line, turf.point(pt));
+  return {
+    distance: turf.distance(pt, nearest, { units: 'meters' }),
+    location: nearest.properties.location
+  };
+}));
+
+const build = time(() => new RouteIndex(coordinates));
+const indexed = time(() => candidates.map(pt => build.result.nearest(pt[0], pt[1])));
+
+let mismatches = 0;
+for (let i = 0; i < candidates.length; i++) {
+  const a = brute.result[i];
+  const b = indexed.result[i];
+  if (Math.abs(a.distance - b.distance) > 1e-6 || Math.abs(a.location - b.location) > 1e-6) {
+    mismatches++;
+  }
+}
+
+console.log(`turf.nearestPointOnLine: ${brute.ms.toFixed(1)} ms`);
+console.log(`RouteIndex build:        ${build.ms.toFixed(1)} ms`);
+console.log(`RouteIndex queries:      ${indexed.ms.toFixed(1)} ms`);
+console.log(`Speed-up (incl. build):  ${(brute.ms / (build.ms + indexed.ms)).toFixed(1)}x`);
+console.log(`Mismatched results:      ${mismatches}`);
+
+process.exitCode = mismatches === 0 ? 0 : 1;
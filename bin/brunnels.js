@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+// Biketerra Brunnels - command line
+// Usage: brunnels <route file> [options]; see --help
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Brunnels = require('../index.js');
+
+const USAGE = `Usage: brunnels <route.gpx|.tcx|.fit|__data.json> [options]
+
+Locate the OpenStreetMap bridges and tunnels along a route.
+
+Options:
+  --route-buffer <m>        Max distance from the route (default 3)
+  --bearing-tolerance <deg> Max bearing difference (default 20)
+  --merge-gap <m>           Merge same-type brunnels closer than this (default 1)
+  --query-buffer <m>        Overpass query buffer around the route (default 10)
+  --overpass <file>         Use a saved Overpass JSON response instead of querying
+  --endpoint <url>          Overpass endpoint; repeat to add failovers
+  --format <format>         json, csv, gpx or geojson (default json)
+  -o, --output <file>       Write to a file instead of stdout
+  -q, --quiet               No progress messages
+  -h, --help                Show this help`;
+
+const FORMATS = ['json', 'csv', 'gpx', 'geojson'];
+
+const NUMBER_OPTIONS = {
+  '--route-buffer': 'routeBuffer',
+  '--bearing-tolerance': 'bearingTolerance',
+  '--merge-gap': 'mergeGap',
+  '--query-buffer': 'queryBuffer'
+};
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const args = { endpoints: [], format: 'json', quiet: false, analysis: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let value = null;
+
+    // --name=value form
+    const eq = arg.startsWith('--') ? arg.indexOf('=') : -1;
+    if (eq !== -1) {
+      value = arg.slice(eq + 1);
+      arg = arg.slice(0, eq);
+    }
+    const takeValue = () => {
+      if (value !== null) return value;
+      if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+      return argv[++i];
+    };
+
+    if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (arg === '-q' || arg === '--quiet') {
+      args.quiet = true;
+    } else if (NUMBER_OPTIONS[arg]) {
+      const number = parseFloat(takeValue());
+      if (!Number.isFinite(number) || number < 0) {
+        throw new UsageError(`${arg} must be a non-negative number`);
+      }
+      args.analysis[NUMBER_OPTIONS[arg]] = number;
+    } else if (arg === '--overpass') {
+      args.overpass = takeValue();
+    } else if (arg === '--endpoint') {
+      const endpoint = takeValue();
+      if (!/^https?:\/\//.test(endpoint)) throw new UsageError(`Not an http(s) URL: ${endpoint}`);
+      args.endpoints.push(endpoint);
+    } else if (arg === '--format') {
+      args.format = takeValue().toLowerCase();
+      if (!FORMATS.includes(args.format)) {
+        throw new UsageError(`--format must be one of: ${FORMATS.join(', ')}`);
+      }
+    } else if (arg === '-o' || arg === '--output') {
+      args.output = takeValue();
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw new UsageError(`Unknown option: ${arg}`);
+    } else if (args.file) {
+      throw new UsageError(`Unexpected argument: ${arg}`);
+    } else {
+      args.file = arg;
+    }
+  }
+
+  return args;
+}
+
+function formatOutput(format, name, result) {
+  switch (format) {
+    case 'csv':
+      return Brunnels.RouteExport.toCsv(result.brunnels);
+    case 'gpx':
+      return Brunnels.RouteExport.toGpx(result.route, result.brunnels, { name });
+    case 'geojson': {
+      const geojson = Brunnels.RouteExport.toGeoJson(
+        result.route, result.overpassData, result.candidates, result.queryBounds
+      );
+      return JSON.stringify(geojson, null, 2) + '\n';
+    }
+    default:
+      return JSON.stringify({
+        name,
+        totalDistance: result.totalDistance,
+        brunnels: result.brunnels,
+        excluded: result.excluded
+      }, null, 2) + '\n';
+  }
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help) {
+    process.stdout.write(USAGE + '\n');
+    return;
+  }
+  if (!args.file) throw new UsageError('No route file given');
+
+  const log = args.quiet ? () => {} : message => process.stderr.write(message + '\n');
+
+  const parsed = Brunnels.loadRouteFile(args.file, fs.readFileSync(args.file));
+  log(`Loaded ${parsed.name}: ${parsed.routePoints.length} points`);
+
+  const options = { ...args.analysis, onStatus: log };
+  if (args.overpass) {
+    options.overpassData = JSON.parse(fs.readFileSync(args.overpass, 'utf8'));
+  }
+  if (args.endpoints.length > 0) options.endpoints = args.endpoints;
+
+  const result = await Brunnels.locateBrunnels(parsed.routePoints, options);
+  log(`Found ${result.brunnels.length} brunnel(s); ${result.excluded.length} candidate(s) excluded`);
+
+  const output = formatOutput(args.format, parsed.name, result);
+  if (args.output) {
+    fs.writeFileSync(args.output, output);
+    log(`Wrote ${path.resolve(args.output)}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  process.stderr.write(`Error: ${error.message}\n`);
+  if (error instanceof UsageError) {
+    process.stderr.write('Run brunnels --help for usage.\n');
+    process.exitCode = 2;
+  } else {
+    process.exitCode = 1;
+  }
+});
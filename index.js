@@ -0,0 +1,95 @@
+// Biketerra Brunnels - Node library
+// The extension's detection pipeline without the extension: load a route,
+// query Overpass along it (or use saved Overpass JSON) and locate the bridges
+// and tunnels on it. The same modules run in the browser as classic scripts.
+
+'use strict';
+
+const BrunnelCore = require('./js/brunnel-core.js');
+const RouteIndex = require('./js/route-index.js');
+const { OverpassAPI } = require('./js/overpass.js');
+const BiketerraData = require('./js/biketerra-data.js');
+const RouteImport = require('./js/route-import.js');
+const RouteExport = require('./js/route-export.js');
+
+const { GeometryUtils } = BrunnelCore;
+
+// Corridor chunk length used by the extension, in km
+const DEFAULT_CHUNK_LENGTH = 5;
+
+// Accepts processed data ({ bridges, tunnels }) or a raw Overpass response
+// ({ elements }), e.g. one saved from overpass-turbo
+function normalizeOverpassData(data) {
+  if (Array.isArray(data?.bridges) && Array.isArray(data?.tunnels)) return data;
+  if (Array.isArray(data?.elements)) return OverpassAPI.processOverpassData(data);
+  throw new Error('Overpass data must be an Overpass JSON response or { bridges, tunnels }');
+}
+
+// Parse a route file into { name, format, routePoints }. Biketerra's
+// __data.json is read as text; GPX/TCX as text and FIT as an ArrayBuffer or
+// Buffer.
+function loadRouteFile(filename, data) {
+  if (/\.json$/i.test(filename)) {
+    const text = typeof data === 'string' ? data : Buffer.from(data).toString('utf8');
+    return {
+      name: filename.replace(/^.*[\\/]/, '').replace(/\.json$/i, ''),
+      format: 'biketerra',
+      routePoints: BiketerraData.parseDataJson(JSON.parse(text))
+    };
+  }
+
+  if (RouteImport.detectFormat(filename) === 'fit' && Buffer.isBuffer(data)) {
+    data = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  } else if (Buffer.isBuffer(data)) {
+    data = data.toString('utf8');
+  }
+  return RouteImport.parseFile(filename.replace(/^.*[\\/]/, ''), data);
+}
+
+// Locate the brunnels on a route ([[lat, lon, elevation, distance_m], ...]).
+// Pass overpassData to skip the network; otherwise the route's corridor is
+// queried in chunks. Remaining options go to analyzeCandidates (routeBuffer,
+// bearingTolerance, mergeGap, forceInclude by span id).
+async function locateBrunnels(routePoints, options = {}) {
+  const {
+    queryBuffer = 10,
+    chunkLength = DEFAULT_CHUNK_LENGTH,
+    endpoints,
+    timeout,
+    overpassData: providedData,
+    onStatus = () => {},
+    ...analysisOptions
+  } = options;
+
+  const route = BrunnelCore.buildRoute(routePoints);
+  const queryBounds = GeometryUtils.calculateCorridorBounds(
+    route.coordinates, chunkLength * 1000, queryBuffer
+  );
+
+  let overpassData;
+  if (providedData) {
+    overpassData = normalizeOverpassData(providedData);
+  } else {
+    const queryOptions = { onStatus };
+    if (endpoints) queryOptions.endpoints = endpoints;
+    if (timeout) queryOptions.timeout = timeout;
+    overpassData = await OverpassAPI.queryCorridor(queryBounds, queryOptions);
+  }
+
+  onStatus('Analyzing candidates...');
+  const result = BrunnelCore.analyzeCandidates(route, overpassData, analysisOptions);
+
+  return { ...result, route, overpassData, queryBounds };
+}
+
+module.exports = {
+  ...BrunnelCore,
+  RouteIndex,
+  OverpassAPI,
+  BiketerraData,
+  RouteImport,
+  RouteExport,
+  normalizeOverpassData,
+  loadRouteFile,
+  locateBrunnels
+};
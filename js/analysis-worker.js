@@ -0,0 +1,17 @@
+// Biketerra Brunnels Extension - Analysis Worker
+// Runs the brunnel analysis pipeline off the Biketerra page's main thread
+// Input: route points plus processed Overpass data; output: spans and exclusion reasons
+
+importScripts('turf-csp.js', 'route-index.js', 'brunnel-core.js');
+
+self.onmessage = (event) => {
+  const { requestId, routePoints, overpassData, options } = event.data;
+
+  try {
+    const route = BrunnelCore.buildRoute(routePoints);
+    const result = BrunnelCore.analyzeCandidates(route, overpassData, options);
+    self.postMessage({ requestId, result });
+  } catch (error) {
+    self.postMessage({ requestId, error: error.message });
+  }
+};
@@ -1,9 +1,12 @@
 // Biketerra Brunnels Extension - Background Service Worker
-// Handles extension icon click to toggle the overlay panel
+// Handles extension icon click to toggle the overlay panel and relays
+// analysis requests to the offscreen document's workers
+
+importScripts('biketerra-pages.js');
 
 chrome.action.onClicked.addListener(async (tab) => {
   // Only work on Biketerra editor pages
-  if (!tab.url || !tab.url.includes('biketerra.com/routes/new')) {
+  if (!tab.url || !BiketerraPages.isEditorUrl(tab.url)) {
     // Show a notification or badge indicating wrong page
     chrome.action.setBadgeText({ text: '!', tabId: tab.id });
     chrome.action.setBadgeBackgroundColor({ color: '#e53e3e', tabId: tab.id });
@@ -20,9 +23,15 @@ chrome.action.onClicked.addListener(async (tab) => {
     // Content script might not be loaded yet, try injecting it
     console.log('Content script not ready, trying to inject...');
     try {
+      // Late injection only sees the editor's requests from here on
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        files: ['js/page-route-bridge.js'],
+        world: 'MAIN'
+      });
       await chrome.scripting.executeScript({
         target: { tabId: tab.id },
-        files: ['js/turf-csp.js', 'js/content.js']
+        files: ['js/turf-csp.js', 'js/route-index.js', 'js/brunnel-core.js', 'js/overpass.js', 'js/biketerra-pages.js', 'js/biketerra-data.js', 'js/route-import.js', 'js/route-export.js', 'js/option-store.js', 'js/content.js']
       });
       await chrome.scripting.insertCSS({
         target: { tabId: tab.id },
@@ -35,3 +44,121 @@ chrome.action.onClicked.addListener(async (tab) => {
     }
   }
 });
+
+// ============================================================================
+// Analysis Worker Relay
+// ============================================================================
+
+const OFFSCREEN_URL = 'offscreen.html';
+let creatingOffscreen = null;
+
+// Create the offscreen document that hosts analysis workers, if not already open
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)]
+  });
+  if (contexts.length > 0) return;
+
+  // Concurrent requests share one creation; creating twice throws
+  if (!creatingOffscreen) {
+    creatingOffscreen = chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ['WORKERS'],
+      justification: 'Run brunnel geometry analysis without blocking the Biketerra editor'
+    }).finally(() => {
+      creatingOffscreen = null;
+    });
+  }
+  await creatingOffscreen;
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const tabId = sender.tab?.id;
+
+  if (message.action === 'analyzeBrunnels') {
+    (async () => {
+      try {
+        await ensureOffscreenDocument();
+      } catch (error) {
+        // The content script falls back to analyzing on the page
+        sendResponse({ unavailable: true, error: error.message });
+        return;
+      }
+
+      try {
+        const response = await chrome.runtime.sendMessage({
+          target: 'offscreen',
+          action: 'analyze',
+          tabId,
+          requestId: message.requestId,
+          payload: message.payload
+        });
+        sendResponse(response);
+      } catch (error) {
+        sendResponse({ unavailable: true, error: error.message });
+      }
+    })();
+    return true; // Async response
+  }
+
+  if (message.action === 'openImportPage') {
+    openImportPage();
+    sendResponse({ success: true });
+    return false;
+  }
+
+  if (message.action === 'checkHostAccess') {
+    chrome.permissions.contains({ origins: message.origins })
+      .then(granted => sendResponse({ granted }))
+      .catch(() => sendResponse({ granted: false }));
+    return true; // Async response
+  }
+
+  if (message.action === 'requestHostAccess') {
+    openPermissionsPage(message.origins);
+    sendResponse({ success: true });
+    return false;
+  }
+
+  if (message.action === 'cancelAnalysis') {
+    chrome.runtime.sendMessage({ target: 'offscreen', action: 'cancel', tabId })
+      .catch(() => {}); // No offscreen document means nothing to cancel
+    sendResponse({ success: true });
+    return false;
+  }
+
+  return false;
+});
+
+// ============================================================================
+// Custom Endpoint Permissions
+// ============================================================================
+
+// chrome.permissions.request needs a user gesture on an extension page, so
+// the panel's Allow button lands here and the page asks on its own click
+function openPermissionsPage(origins) {
+  const query = new URLSearchParams({ origins: origins.join(' ') });
+  chrome.tabs.create({ url: `${chrome.runtime.getURL('permissions.html')}?${query}` });
+}
+
+// ============================================================================
+// Route File Import Page
+// ============================================================================
+
+function openImportPage() {
+  chrome.tabs.create({ url: chrome.runtime.getURL('import.html') });
+}
+
+// Reachable from the toolbar icon's context menu on any page, and from the panel
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.create({
+    id: 'openImportPage',
+    title: 'Analyze a route file (GPX, TCX, FIT)',
+    contexts: ['action']
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info) => {
+  if (info.menuItemId === 'openImportPage') openImportPage();
+});
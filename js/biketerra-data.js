@@ -0,0 +1,109 @@
+// Biketerra Brunnels Extension - Biketerra Route Data
+// Parses the SvelteKit __data.json Biketerra serves for the route editor:
+// route points from editableRoute (or simple_route). No DOM dependencies, so
+// it also runs in Node.
+
+(function(global) {
+  'use strict';
+
+  const BiketerraData = {
+    // Parse the SvelteKit __data.json format to extract route data
+    // Prefers editableRoute (higher resolution) over simple_route
+    parseDataJson(data) {
+      // SvelteKit data format uses indexed arrays for deduplication
+      // Structure: { nodes: [{ type: 'data', data: [...] }, ...] }
+      if (!data.nodes || !Array.isArray(data.nodes)) {
+        throw new Error('Invalid data format: missing nodes array');
+      }
+
+      // Try each data node, preferring larger arrays (more data)
+      const dataNodes = data.nodes
+        .filter(node => node && node.type === 'data' && Array.isArray(node.data))
+        .sort((a, b) => b.data.length - a.data.length);
+
+      for (const node of dataNodes) {
+        // First try editableRoute (higher resolution with accurate distances)
+        const editableRoute = this.findEditableRouteInArray(node.data);
+        if (editableRoute) {
+          return editableRoute;
+        }
+      }
+
+      throw new Error('Could not find route data in response');
+    },
+
+    // Find editableRoute in the indexed data array
+    // Returns the dereferenced array of route points
+    findEditableRouteInArray(dataArray) {
+      // First, find the index mapping object that contains 'editableRoute' key
+      let editableRouteIndex = null;
+
+      for (const item of dataArray) {
+        if (typeof item === 'object' && item !== null && !Array.isArray(item)) {
+          if ('editableRoute' in item) {
+            editableRouteIndex = item.editableRoute;
+            break;
+          }
+        }
+      }
+
+      if (editableRouteIndex === null) {
+        return this.findSimpleRouteInArray(dataArray);
+      }
+
+      // Get the editableRoute array (list of indices to point objects)
+      const editableRouteIndices = dataArray[editableRouteIndex];
+      if (!Array.isArray(editableRouteIndices)) {
+        return this.findSimpleRouteInArray(dataArray);
+      }
+
+      // Dereference each point: each point is a list of 5 indices
+      // [lat_idx, lon_idx, elev_idx, dist_idx, smoothed_elev_idx]
+      const points = [];
+      for (const pointIndex of editableRouteIndices) {
+        const pointIndices = dataArray[pointIndex];
+        if (Array.isArray(pointIndices) && pointIndices.length >= 4) {
+          const lat = dataArray[pointIndices[0]];
+          const lon = dataArray[pointIndices[1]];
+          const elevation = dataArray[pointIndices[2]];
+          const distance = dataArray[pointIndices[3]];
+          points.push([lat, lon, elevation, distance]);
+        }
+      }
+
+      if (points.length > 0) {
+        return points;
+      }
+
+      return null;
+    },
+
+    // Fallback: find simple_route in the indexed data array
+    findSimpleRouteInArray(dataArray) {
+      // simple_route is stored as a JSON string
+      for (const item of dataArray) {
+        if (typeof item === 'string' && item.startsWith('[[')) {
+          try {
+            const parsed = JSON.parse(item);
+            if (Array.isArray(parsed) && parsed.length > 0 &&
+                Array.isArray(parsed[0]) && parsed[0].length === 4 &&
+                typeof parsed[0][0] === 'number') {
+              return parsed;
+            }
+          } catch (e) {
+            // Not valid JSON, continue searching
+          }
+        }
+      }
+      return null;
+    }
+  };
+
+  // Export to global scope
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BiketerraData;
+  } else {
+    global.BiketerraData = BiketerraData;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : typeof self !== 'undefined' ? self : this);
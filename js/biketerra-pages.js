@@ -0,0 +1,80 @@
+// Biketerra Brunnels Extension - Biketerra Page URLs
+// Recognizes every URL form of the Biketerra route editor and resolves the
+// SvelteKit __data.json endpoint for it. Shared by the background worker,
+// popup and content script so they agree on which pages are supported.
+
+(function(global) {
+  'use strict';
+
+  // Keep in step with manifest.json's content_scripts and host_permissions
+  const HOSTS = ['biketerra.com', 'www.biketerra.com'];
+
+  // Editor URL forms:
+  //   /routes/new?id=<route_id>
+  //   /editor?id=<route_id>
+  //   /editor/<route_id>
+  const EDITOR_PATHS = [
+    /^\/routes\/new\/?$/,
+    /^\/editor\/?$/,
+    /^\/editor\/\d+\/?$/
+  ];
+
+  function parse(url, base = undefined) {
+    try {
+      return new URL(url, base);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  const BiketerraPages = {
+    isEditorUrl(url) {
+      const parsed = parse(url);
+      if (!parsed || !HOSTS.includes(parsed.hostname)) return false;
+      return EDITOR_PATHS.some(pattern => pattern.test(parsed.pathname));
+    },
+
+    getRouteId(url) {
+      const parsed = parse(url);
+      if (!parsed) return null;
+
+      const id = parsed.searchParams.get('id');
+      if (id) return id;
+
+      const pathMatch = parsed.pathname.match(/^\/editor\/(\d+)/);
+      return pathMatch ? pathMatch[1] : null;
+    },
+
+    // SvelteKit serves a page's load data at <path>/__data.json with the
+    // page's own query string, e.g. /editor/123/__data.json or
+    // /routes/new/__data.json?id=123
+    dataUrl(url) {
+      const parsed = parse(url);
+      if (!parsed) return null;
+
+      const path = parsed.pathname.replace(/\/+$/, '');
+      return `${parsed.origin}${path}/__data.json${parsed.search}`;
+    },
+
+    // Whether a request URL (possibly relative) is the __data.json endpoint
+    // of the editor page at pageUrl. SvelteKit adds its own query parameters
+    // to these requests, so only the path and route id are compared.
+    isDataUrlFor(requestUrl, pageUrl) {
+      const request = parse(requestUrl, pageUrl);
+      const expected = parse(this.dataUrl(pageUrl));
+      if (!request || !expected) return false;
+
+      return request.origin === expected.origin &&
+        request.pathname === expected.pathname &&
+        request.searchParams.get('id') === expected.searchParams.get('id');
+    }
+  };
+
+  // Export to global scope
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BiketerraPages;
+  } else {
+    global.BiketerraPages = BiketerraPages;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,970 @@
+// Biketerra Brunnels Extension - Brunnel Analysis Core
+// Pure geometry and filtering pipeline shared by the content script and the
+// analysis worker. Has no DOM or extension API dependencies.
+
+(function(global) {
+  'use strict';
+
+  // Loaded as classic scripts in the page and worker; required in Node
+  const isModule = typeof module !== 'undefined' && module.exports;
+  const turf = isModule ? require('./turf-csp.js') : global.turf;
+  const RouteIndex = isModule ? require('./route-index.js') : global.RouteIndex;
+
+  // ============================================================================
+  // Coordinate Utilities
+  // ============================================================================
+
+  const CoordinateUtils = {
+    toTurfCoords(coords) {
+      return coords.map(coord => [coord.lon, coord.lat]);
+    }
+  };
+
+  // ============================================================================
+  // Geometry Utilities (adapted from brunnels-js)
+  // ============================================================================
+
+  const GeometryUtils = {
+    // Extract cumulative distances from Biketerra's embedded route data
+    // Each coordinate has a 'distance' property with cumulative meters
+    calculateCumulativeDistances(routeCoords) {
+      return routeCoords.map(coord => coord.distance);
+    },
+
+    // Spatial index over the route's segments, built once and cached on the route
+    getRouteIndex(route) {
+      if (!route.index) {
+        route.index = new RouteIndex(route.coordinates);
+      }
+      return route.index;
+    },
+
+    // Distance-based containment check (avoids problematic buffer polygon)
+    // Returns true if all brunnel points are within bufferMeters of the route
+    brunnelWithinDistance(brunnel, route, bufferMeters) {
+      const index = this.getRouteIndex(route);
+
+      for (const coord of brunnel.geometry) {
+        if (index.nearest(coord.lon, coord.lat).distance > bufferMeters) {
+          return false;
+        }
+      }
+      return true;
+    },
+
+    // Calculate route span by projecting onto the route, but Biketerra's distances for positioning
+    // This finds where on the route line the brunnel endpoints project to,
+    // then uses Biketerra's embedded cumulative distances for accurate placement
+    calculateRouteSpan(brunnel, route) {
+      if (brunnel.geometry.length === 0) return null;
+
+      const index = this.getRouteIndex(route);
+      const startCoord = brunnel.geometry[0];
+      const endCoord = brunnel.geometry[brunnel.geometry.length - 1];
+
+      // Find projection point and segment index
+      const startNearest = index.nearest(startCoord.lon, startCoord.lat);
+      const endNearest = index.nearest(endCoord.lon, endCoord.lat);
+
+      // Interpolate Biketerra's distances within the projected segments
+      const startDistance = this._interpolateDistance(route.coordinates, startNearest) / 1000;
+      const endDistance = this._interpolateDistance(route.coordinates, endNearest) / 1000;
+
+      return {
+        startDistance: Math.min(startDistance, endDistance),
+        endDistance: Math.max(startDistance, endDistance)
+      };
+    },
+
+    // Find every distinct pass of the route over a brunnel and return one span per pass
+    // A pass is a run of consecutive route segments lying within bufferMeters of the
+    // brunnel, with both brunnel endpoints projecting onto that run within bufferMeters.
+    // Falls back to the single global projection (calculateRouteSpan) when no run qualifies,
+    // e.g. for outliers, so every brunnel still gets a span for diagnostics.
+    calculateRouteSpans(brunnel, route, bufferMeters) {
+      if (brunnel.geometry.length === 0) return [];
+
+      const index = this.getRouteIndex(route);
+      const routeXY = index.points;
+      const brunnelXY = brunnel.geometry.map(c => index.project(c.lon, c.lat));
+      const coords = route.coordinates;
+
+      // Brunnel bounding box (projected) expanded by the buffer
+      let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+      for (const [x, y] of brunnelXY) {
+        minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+      }
+
+      // Group route segments near the brunnel into runs of consecutive indices
+      const candidates = index.segmentsInBox(
+        minX - bufferMeters, minY - bufferMeters, maxX + bufferMeters, maxY + bufferMeters
+      );
+      const runs = [];
+      let currentRun = null;
+      for (const i of candidates) {
+        if (!this._segmentNearLine(routeXY[i], routeXY[i + 1], brunnelXY, bufferMeters)) continue;
+
+        if (currentRun && currentRun.end === i - 1) {
+          currentRun.end = i;
+        } else {
+          currentRun = { start: i, end: i };
+          runs.push(currentRun);
+        }
+      }
+
+      const startXY = brunnelXY[0];
+      const endXY = brunnelXY[brunnelXY.length - 1];
+      const spans = [];
+
+      for (const run of runs) {
+        const startProj = this._projectOntoRun(startXY, routeXY, run);
+        const endProj = this._projectOntoRun(endXY, routeXY, run);
+        if (startProj.distance > bufferMeters || endProj.distance > bufferMeters) continue;
+
+        const startDistance = this._interpolateDistance(coords, startProj) / 1000;
+        const endDistance = this._interpolateDistance(coords, endProj) / 1000;
+        spans.push({
+          startDistance: Math.min(startDistance, endDistance),
+          endDistance: Math.max(startDistance, endDistance)
+        });
+      }
+
+      if (spans.length === 0) {
+        const span = this.calculateRouteSpan(brunnel, route);
+        return span ? [span] : [];
+      }
+
+      return spans;
+    },
+
+    // Closest point on segment a-b to p (planar); returns { distance, t }
+    _pointToSegment(p, a, b) {
+      const dx = b[0] - a[0];
+      const dy = b[1] - a[1];
+      const lengthSq = dx * dx + dy * dy;
+      let t = 0;
+      if (lengthSq > 0) {
+        t = Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSq));
+      }
+      const x = a[0] + t * dx - p[0];
+      const y = a[1] + t * dy - p[1];
+      return { distance: Math.sqrt(x * x + y * y), t };
+    },
+
+    // True if route segment a-b comes within bufferMeters of the brunnel polyline
+    // Checks brunnel vertices against the segment and segment ends against the
+    // brunnel, so both sparse routes and sparse brunnels are handled
+    _segmentNearLine(a, b, lineXY, bufferMeters) {
+      for (const p of lineXY) {
+        if (this._pointToSegment(p, a, b).distance <= bufferMeters) return true;
+      }
+      for (let j = 0; j < lineXY.length - 1; j++) {
+        if (this._pointToSegment(a, lineXY[j], lineXY[j + 1]).distance <= bufferMeters ||
+            this._pointToSegment(b, lineXY[j], lineXY[j + 1]).distance <= bufferMeters) {
+          return true;
+        }
+      }
+      return false;
+    },
+
+    // Project p onto the route segments of a run; returns { distance, segmentIndex, t }
+    _projectOntoRun(p, routeXY, run) {
+      let best = { distance: Infinity, segmentIndex: run.start, t: 0 };
+      for (let i = run.start; i <= run.end; i++) {
+        const result = this._pointToSegment(p, routeXY[i], routeXY[i + 1]);
+        if (result.distance < best.distance) {
+          best = { distance: result.distance, segmentIndex: i, t: result.t };
+        }
+      }
+      return best;
+    },
+
+    // Biketerra distance (meters) at a position along a route segment
+    _interpolateDistance(coords, { segmentIndex, t }) {
+      const dist1 = coords[segmentIndex].distance;
+      const dist2 = coords[segmentIndex + 1].distance;
+      return dist1 + t * (dist2 - dist1);
+    },
+
+    getRouteSegment(routeCoords, cumulativeDistances, startDist, endDist) {
+      if (startDist >= endDist || startDist < 0) return [];
+
+      const startDistMeters = startDist * 1000;
+      const endDistMeters = endDist * 1000;
+
+      let startIndex = -1;
+      let endIndex = -1;
+
+      for (let i = 0; i < cumulativeDistances.length; i++) {
+        const currentDistance = cumulativeDistances[i];
+
+        if (startIndex === -1 && currentDistance >= startDistMeters) {
+          startIndex = Math.max(0, i - 1);
+        }
+
+        if (currentDistance >= endDistMeters) {
+          endIndex = Math.min(routeCoords.length - 1, i + 1);
+          break;
+        }
+      }
+
+      if (endIndex === -1) endIndex = routeCoords.length - 1;
+      if (startIndex === -1) return [];
+
+      return routeCoords.slice(startIndex, endIndex + 1);
+    },
+
+    isBrunnelAligned(brunnel, routeCoords, cumulativeDistances, routeSpan, toleranceDegrees) {
+      const bestDiff = this.bestBearingDifference(brunnel, routeCoords, cumulativeDistances, routeSpan);
+      return bestDiff === null || bestDiff <= toleranceDegrees;
+    },
+
+    // Smallest bearing difference between any brunnel segment and any route segment
+    // within the route span, or null when there is nothing to compare
+    bestBearingDifference(brunnel, routeCoords, cumulativeDistances, routeSpan) {
+      if (brunnel.geometry.length < 2 || routeCoords.length < 2 || !routeSpan) {
+        return null;
+      }
+
+      const routeSegment = this.getRouteSegment(
+        routeCoords, cumulativeDistances, routeSpan.startDistance, routeSpan.endDistance
+      );
+
+      if (routeSegment.length < 2) return null;
+
+      let bestDiff = Infinity;
+
+      for (let i = 0; i < brunnel.turfPoints.length - 1; i++) {
+        const brunnelStart = brunnel.turfPoints[i];
+        const brunnelEnd = brunnel.turfPoints[i + 1];
+        const brunnelBearing = turf.rhumbBearing(brunnelStart, brunnelEnd);
+
+        for (let j = 0; j < routeSegment.length - 1; j++) {
+          const routeStart = turf.point(CoordinateUtils.toTurfCoords([routeSegment[j]])[0]);
+          const routeEnd = turf.point(CoordinateUtils.toTurfCoords([routeSegment[j + 1]])[0]);
+          const routeBearing = turf.rhumbBearing(routeStart, routeEnd);
+
+          const bearingDiff = this.getBearingDifference(brunnelBearing, routeBearing);
+
+          if (bearingDiff < bestDiff) bestDiff = bearingDiff;
+        }
+      }
+
+      return bestDiff;
+    },
+
+    // Largest distance (meters) from any brunnel point to the route
+    maxDistanceToRoute(brunnel, route) {
+      const index = this.getRouteIndex(route);
+      let maxDistance = 0;
+      for (const coord of brunnel.geometry) {
+        const dist = index.nearest(coord.lon, coord.lat).distance;
+        if (dist > maxDistance) maxDistance = dist;
+      }
+      return maxDistance;
+    },
+
+    getBearingDifference(bearing1, bearing2) {
+      let diff = Math.abs(bearing1 - bearing2);
+      if (diff > 180) diff = 360 - diff;
+      if (diff > 90) diff = Math.abs(180 - diff);
+      return diff;
+    },
+
+    calculateBounds(coords) {
+      const points = CoordinateUtils.toTurfCoords(coords).map(coord => turf.point(coord));
+      const bbox = turf.bbox(turf.featureCollection(points));
+
+      return {
+        minLon: bbox[0],
+        minLat: bbox[1],
+        maxLon: bbox[2],
+        maxLat: bbox[3]
+      };
+    },
+
+    expandBounds(bounds, bufferMeters) {
+      const centerLat = (bounds.minLat + bounds.maxLat) / 2;
+      const latBuffer = bufferMeters / 111320;
+      const lonBuffer = bufferMeters / (111320 * Math.cos(centerLat * Math.PI / 180));
+
+      return {
+        minLat: bounds.minLat - latBuffer,
+        maxLat: bounds.maxLat + latBuffer,
+        minLon: bounds.minLon - lonBuffer,
+        maxLon: bounds.maxLon + lonBuffer
+      };
+    },
+
+    // Split the route into consecutive pieces of about chunkLengthMeters and return
+    // an expanded bounding box for each, so queries follow the route corridor
+    // instead of covering one rectangle around the whole route.
+    // Neighbouring pieces share their boundary point, so the boxes leave no gaps.
+    calculateCorridorBounds(coords, chunkLengthMeters, bufferMeters) {
+      if (coords.length < 2) {
+        return [this.expandBounds(this.calculateBounds(coords), bufferMeters)];
+      }
+
+      const chunks = [];
+      let chunkStart = 0;
+
+      for (let i = 1; i < coords.length; i++) {
+        const chunkLength = coords[i].distance - coords[chunkStart].distance;
+        if (chunkLength >= chunkLengthMeters || i === coords.length - 1) {
+          const bounds = this.calculateBounds(coords.slice(chunkStart, i + 1));
+          chunks.push(this.expandBounds(bounds, bufferMeters));
+          chunkStart = i;
+        }
+      }
+
+      return chunks;
+    },
+
+    isValidCoordinate(lat, lon) {
+      return typeof lat === 'number' && typeof lon === 'number' &&
+        !isNaN(lat) && !isNaN(lon) &&
+        lat >= -80 && lat <= 80 &&
+        lon >= -180 && lon <= 180;
+    },
+
+    validateGeometry(geometry) {
+      const validCoords = [];
+      for (const node of geometry) {
+        if (this.isValidCoordinate(node.lat, node.lon)) {
+          validCoords.push({ lat: node.lat, lon: node.lon });
+        }
+      }
+      return validCoords.length >= 2 ? validCoords : null;
+    }
+  };
+
+  // ============================================================================
+  // Brunnel Class (adapted from brunnels-js)
+  // ============================================================================
+
+  class Brunnel {
+    constructor(data) {
+      this.id = data.id;
+      this.type = data.type;
+      this.name = data.name;
+      this.tags = data.tags;
+      this.geometry = data.geometry;
+      this.turfLineString = turf.lineString(CoordinateUtils.toTurfCoords(this.geometry));
+      this.turfPoints = this.geometry.map(coord =>
+        turf.point(CoordinateUtils.toTurfCoords([coord])[0])
+      );
+      this.nodes = data.nodes || [];
+      this.routeSpan = null;
+      this.exclusionReason = null;
+      this.forced = false;
+      // Which pass of the route over this brunnel the routeSpan belongs to
+      this.passIndex = 0;
+      this.passCount = 1;
+    }
+
+    // Unique per pass: the OSM id, suffixed with the pass number when the
+    // route crosses this brunnel more than once
+    get spanId() {
+      return this.passCount > 1 ? `${this.id}:${this.passIndex + 1}` : this.id;
+    }
+
+    static fromOverpassData(overpassData) {
+      const brunnels = [];
+
+      for (const bridge of overpassData.bridges) {
+        brunnels.push(new Brunnel({
+          id: bridge.id,
+          type: 'bridge',
+          name: bridge.name,
+          tags: bridge.tags,
+          geometry: bridge.geometry,
+          nodes: bridge.nodes || []
+        }));
+      }
+
+      for (const tunnel of overpassData.tunnels) {
+        brunnels.push(new Brunnel({
+          id: tunnel.id,
+          type: 'tunnel',
+          name: tunnel.name,
+          tags: tunnel.tags,
+          geometry: tunnel.geometry,
+          nodes: tunnel.nodes || []
+        }));
+      }
+
+      return brunnels;
+    }
+
+    isWithinDistance(route, bufferMeters) {
+      return GeometryUtils.brunnelWithinDistance(this, route, bufferMeters);
+    }
+
+    calculateRouteSpan(route) {
+      this.routeSpan = GeometryUtils.calculateRouteSpan(this, route);
+    }
+
+    // Returns one Brunnel per pass of the route over this brunnel: this instance
+    // for the first pass and copies sharing its geometry for any others
+    splitByRoutePasses(route, bufferMeters) {
+      const spans = GeometryUtils.calculateRouteSpans(this, route, bufferMeters);
+      if (spans.length === 0) {
+        this.routeSpan = null;
+        return [this];
+      }
+
+      return spans.map((span, index) => {
+        const pass = index === 0 ? this : Object.assign(Object.create(Brunnel.prototype), this);
+        pass.routeSpan = span;
+        pass.passIndex = index;
+        pass.passCount = spans.length;
+        return pass;
+      });
+    }
+
+    isAligned(routeCoords, cumulativeDistances, toleranceDegrees) {
+      if (!this.routeSpan) return true;
+      return GeometryUtils.isBrunnelAligned(
+        this, routeCoords, cumulativeDistances, this.routeSpan, toleranceDegrees
+      );
+    }
+
+    isIncluded() {
+      return this.exclusionReason === null;
+    }
+  }
+
+  // ============================================================================
+  // Brunnel Analysis (adapted from brunnels-js)
+  // ============================================================================
+
+  const BrunnelAnalysis = {
+    filterContained(brunnels, route, bufferMeters) {
+      return brunnels.filter(brunnel => {
+        const isWithin = brunnel.isWithinDistance(route, bufferMeters);
+        if (!isWithin) brunnel.exclusionReason = 'outlier';
+        return isWithin;
+      });
+    },
+
+    // Calculate a route span for each pass of the route over each brunnel
+    // Returns a new list with one entry per pass, so that each pass is checked
+    // independently for alignment and overlap
+    calculateRouteSpans(brunnels, route, bufferMeters) {
+      const passes = [];
+      for (const brunnel of brunnels) {
+        passes.push(...brunnel.splitByRoutePasses(route, bufferMeters));
+      }
+      return passes;
+    },
+
+    filterAligned(brunnels, routeCoords, cumulativeDistances, toleranceDegrees) {
+      for (const brunnel of brunnels) {
+        if (brunnel.isIncluded()) {
+          if (!brunnel.isAligned(routeCoords, cumulativeDistances, toleranceDegrees)) {
+            brunnel.exclusionReason = 'misaligned';
+          }
+        }
+      }
+    },
+
+    handleOverlaps(brunnels, route) {
+      const includedBrunnels = brunnels.filter(b => b.isIncluded() && b.routeSpan);
+      const overlapGroups = [];
+
+      for (const brunnel of includedBrunnels) {
+        let foundGroup = false;
+
+        for (const group of overlapGroups) {
+          const overlaps = group.some(other => this.routeSpansOverlap(brunnel.routeSpan, other.routeSpan));
+          if (overlaps) {
+            group.push(brunnel);
+            foundGroup = true;
+            break;
+          }
+        }
+
+        if (!foundGroup) {
+          overlapGroups.push([brunnel]);
+        }
+      }
+
+      for (const group of overlapGroups) {
+        if (group.length > 1) {
+          const brunnelDistances = group.map(brunnel => ({
+            brunnel,
+            avgDistance: this._calculateAverageDistanceToRoute(brunnel, route)
+          }));
+
+          brunnelDistances.sort((a, b) => a.avgDistance - b.avgDistance);
+
+          for (let i = 1; i < brunnelDistances.length; i++) {
+            brunnelDistances[i].brunnel.exclusionReason = 'alternative';
+          }
+        }
+      }
+    },
+
+    _calculateAverageDistanceToRoute(brunnel, route) {
+      const index = GeometryUtils.getRouteIndex(route);
+      let totalDistance = 0;
+
+      for (const coord of brunnel.geometry) {
+        totalDistance += index.nearest(coord.lon, coord.lat).distance;
+      }
+
+      return totalDistance / brunnel.geometry.length;
+    },
+
+    // Measurements explaining why a brunnel was (or would be) excluded
+    describeExclusion(brunnel, route, cumulativeDistances) {
+      return {
+        id: brunnel.spanId,
+        osmId: brunnel.id,
+        pass: brunnel.passIndex + 1,
+        passCount: brunnel.passCount,
+        type: brunnel.type,
+        name: brunnel.name,
+        reason: brunnel.exclusionReason,
+        maxDistance: GeometryUtils.maxDistanceToRoute(brunnel, route),
+        bearingDifference: GeometryUtils.bestBearingDifference(
+          brunnel, route.coordinates, cumulativeDistances, brunnel.routeSpan
+        ),
+        startDistance: brunnel.routeSpan?.startDistance ?? null,
+        endDistance: brunnel.routeSpan?.endDistance ?? null
+      };
+    },
+
+    routeSpansOverlap(span1, span2) {
+      return !(span1.endDistance <= span2.startDistance || span2.endDistance <= span1.startDistance);
+    },
+
+    // Compare located brunnels (plain analysis results) with the brunnels already
+    // stored on the route, returning copies with existingStatus set to:
+    //   'present' - a brunnel of the same type already covers >= minCoverage of the span
+    //   'partial' - the span overlaps an existing brunnel, but isn't covered by one
+    //   'new'     - nothing existing overlaps it
+    classifyAgainstExisting(located, existing, minCoverage = 0.8) {
+      return located.map(brunnel => {
+        const length = brunnel.endDistance - brunnel.startDistance;
+        let status = 'new';
+
+        for (const other of existing || []) {
+          const overlap = Math.min(brunnel.endDistance, other.endDistance) -
+            Math.max(brunnel.startDistance, other.startDistance);
+          if (overlap < 0 || (overlap === 0 && length > 0)) continue;
+
+          const coverage = length > 0 ? overlap / length : 1;
+          const sameType = other.type === brunnel.type || other.type === 'unknown';
+          if (sameType && coverage >= minCoverage) {
+            status = 'present';
+            break;
+          }
+          status = 'partial';
+        }
+
+        return { ...brunnel, existingStatus: status };
+      });
+    },
+
+    // Spans in `after` that weren't in `before` (same type, ends within 1m)
+    newSpans(after, before) {
+      const sameSpan = (a, b) => a.type === b.type &&
+        Math.abs(a.startDistance - b.startDistance) < 0.001 &&
+        Math.abs(a.endDistance - b.endDistance) < 0.001;
+
+      return (after || []).filter(span => !(before || []).some(old => sameSpan(span, old)));
+    },
+
+    // The span in `spans` of the same type as `span` with both ends within
+    // toleranceMeters of its ends (the closest, if several are); null if none
+    findMatchingSpan(span, spans, toleranceMeters = 10) {
+      let match = null;
+      let bestError = Infinity;
+
+      for (const other of spans || []) {
+        if (other.type !== span.type) continue;
+        const error = Math.max(
+          Math.abs(other.startDistance - span.startDistance),
+          Math.abs(other.endDistance - span.endDistance)
+        ) * 1000;
+        if (error <= toleranceMeters && error < bestError) {
+          bestError = error;
+          match = other;
+        }
+      }
+      return match;
+    },
+
+    // Whether a span lies entirely inside a { startKm, endKm } window
+    spanInWindow(span, window) {
+      return span.startDistance >= window.startKm && span.endDistance <= window.endKm;
+    },
+
+    // Compare two readings of the route's brunnels, each
+    // { source, startKm, endKm, spans }. The chart only draws the spans in its
+    // visible window, so only spans inside the window both readings cover
+    // count. Returns { window, added }; window is null (and nothing is added)
+    // if the readings come from different sources or don't overlap.
+    readingChanges(before, after) {
+      if (!before || !after || before.source !== after.source) return { window: null, added: [] };
+
+      const window = {
+        startKm: Math.max(before.startKm, after.startKm),
+        endKm: Math.min(before.endKm, after.endKm)
+      };
+      if (window.endKm <= window.startKm) return { window: null, added: [] };
+
+      const inWindow = spans => (spans || []).filter(span => this.spanInWindow(span, window));
+      return { window, added: this.newSpans(inWindow(after.spans), inWindow(before.spans)) };
+    },
+
+    // Whether a span found in the `before` reading is gone from `after`:
+    // 'removed', 'present', or 'unverified' if the readings (see
+    // readingChanges) don't both cover it
+    verifyRemoved(span, before, after, toleranceMeters = 10) {
+      const { window } = this.readingChanges(before, after);
+      if (!window || !this.spanInWindow(span, window)) return 'unverified';
+      return this.findMatchingSpan(span, after.spans, toleranceMeters) ? 'present' : 'removed';
+    },
+
+    // Compare an intended span with the spans read back after applying it.
+    // The applied span is the same-type span overlapping it most; returns
+    // { status: 'ok' | 'off' | 'missing' | 'unverified', actual, startErrorMeters, endErrorMeters }
+    // 'unverified' when a window is given (see readingChanges) and the
+    // intended span isn't inside it, so the readings can't show it
+    verifyAppliedSpan(intended, applied, toleranceMeters = 10, window = undefined) {
+      if (window === null || (window && !this.spanInWindow(intended, window))) {
+        return { status: 'unverified', actual: null, startErrorMeters: null, endErrorMeters: null };
+      }
+
+      let actual = null;
+      let bestOverlap = -Infinity;
+
+      for (const span of applied || []) {
+        if (span.type !== intended.type && span.type !== 'unknown') continue;
+        const overlap = Math.min(intended.endDistance, span.endDistance) -
+          Math.max(intended.startDistance, span.startDistance);
+        if (overlap >= 0 && overlap > bestOverlap) {
+          bestOverlap = overlap;
+          actual = span;
+        }
+      }
+
+      if (!actual) {
+        return { status: 'missing', actual: null, startErrorMeters: null, endErrorMeters: null };
+      }
+
+      const startErrorMeters = (actual.startDistance - intended.startDistance) * 1000;
+      const endErrorMeters = (actual.endDistance - intended.endDistance) * 1000;
+      const withinTolerance = Math.abs(startErrorMeters) <= toleranceMeters &&
+        Math.abs(endErrorMeters) <= toleranceMeters;
+
+      return {
+        status: withinTolerance ? 'ok' : 'off',
+        actual,
+        startErrorMeters,
+        endErrorMeters
+      };
+    },
+
+    // The span to apply for a located brunnel: its ends moved by the user's
+    // offsets (meters, positive = further along the route), then widened by
+    // padMeters on each side. Padding stops at minDistance / maxDistance (the
+    // route ends, or a neighbouring brunnel); edits are taken as given.
+    // Returns null if the edited span is empty.
+    adjustSpan(span, options = {}) {
+      const { startOffsetMeters = 0, endOffsetMeters = 0, padMeters = 0, minDistance = 0, maxDistance = Infinity } = options;
+      const startDistance = span.startDistance + startOffsetMeters / 1000;
+      const endDistance = span.endDistance + endOffsetMeters / 1000;
+      if (endDistance <= startDistance) return null;
+
+      return {
+        startDistance: Math.min(startDistance, Math.max(minDistance, startDistance - padMeters / 1000)),
+        endDistance: Math.max(endDistance, Math.min(maxDistance, endDistance + padMeters / 1000))
+      };
+    },
+
+    // Terrain under a brunnel's span from the route's own elevations, against
+    // the straight deck Biketerra flattens it to between the span's ends.
+    // Returns { dipMeters, humpMeters, startGradeChange, endGradeChange, flag }:
+    //   dipMeters  - bridges: how far the terrain drops below the deck (else null)
+    //   humpMeters - tunnels: how far it rises above the deck (else null)
+    //   startGradeChange / endGradeChange - percentage points between the deck
+    //     and the approachMeters before / after it (null at a route end)
+    //   flag - 'unnecessary' if the terrain is within flatMeters of the deck
+    //     already, 'high-impact' from highImpactMeters, otherwise null
+    // With no route point inside the span, the route has no terrain there
+    // beyond the deck's own ends, so the dip / hump and flag are null.
+    // Null if the route has no elevation there.
+    terrainDiagnostics(brunnel, routeCoords, options = {}) {
+      const { flatMeters = 1, highImpactMeters = 10, approachMeters = 25 } = options;
+      const startM = brunnel.startDistance * 1000;
+      const endM = brunnel.endDistance * 1000;
+      const startElevation = this._elevationAt(routeCoords, startM);
+      const endElevation = this._elevationAt(routeCoords, endM);
+      if (startElevation === null || endElevation === null || endM <= startM) return null;
+
+      // Largest departure from the deck on the side that matters for the type
+      const deckGrade = (endElevation - startElevation) / (endM - startM);
+      let relief = null;
+      for (let i = this._pointIndexAt(routeCoords, startM) + 1; i < routeCoords.length; i++) {
+        const coord = routeCoords[i];
+        if (coord.distance >= endM) break;
+        if (!Number.isFinite(coord.elevation)) return null;
+
+        const above = coord.elevation - (startElevation + deckGrade * (coord.distance - startM));
+        relief = Math.max(relief ?? 0, brunnel.type === 'tunnel' ? above : -above);
+      }
+
+      const grade = (fromM, toM) => {
+        const from = this._elevationAt(routeCoords, fromM);
+        const to = this._elevationAt(routeCoords, toM);
+        return from === null || to === null ? null : (to - from) / (toM - fromM);
+      };
+      const approachStart = Math.max(routeCoords[0].distance, startM - approachMeters);
+      const exitEnd = Math.min(routeCoords[routeCoords.length - 1].distance, endM + approachMeters);
+      const approachGrade = approachStart < startM ? grade(approachStart, startM) : null;
+      const exitGrade = exitEnd > endM ? grade(endM, exitEnd) : null;
+
+      const round = value => value === null ? null : Math.round(value * 10) / 10;
+      let flag = null;
+      if (relief !== null) {
+        if (relief < flatMeters) flag = 'unnecessary';
+        else if (relief >= highImpactMeters) flag = 'high-impact';
+      }
+
+      return {
+        dipMeters: brunnel.type === 'tunnel' ? null : round(relief),
+        humpMeters: brunnel.type === 'tunnel' ? round(relief) : null,
+        startGradeChange: approachGrade === null ? null : round((deckGrade - approachGrade) * 100),
+        endGradeChange: exitGrade === null ? null : round((exitGrade - deckGrade) * 100),
+        flag
+      };
+    },
+
+    // Index of the last route point at or before a distance (meters)
+    _pointIndexAt(routeCoords, meters) {
+      let lo = 0;
+      let hi = routeCoords.length - 1;
+      if (meters >= routeCoords[hi].distance) return hi;
+      while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (routeCoords[mid].distance <= meters) lo = mid;
+        else hi = mid;
+      }
+      return lo;
+    },
+
+    // Route elevation at a distance (meters), interpolated between points;
+    // null where the points around it carry no elevation
+    _elevationAt(routeCoords, meters) {
+      const i = this._pointIndexAt(routeCoords, meters);
+      const a = routeCoords[i];
+      const b = routeCoords[Math.min(i + 1, routeCoords.length - 1)];
+      if (!Number.isFinite(a.elevation) || !Number.isFinite(b.elevation)) return null;
+
+      const length = b.distance - a.distance;
+      const t = length > 0 ? Math.max(0, Math.min(1, (meters - a.distance) / length)) : 0;
+      return a.elevation + (b.elevation - a.elevation) * t;
+    },
+
+    // Merge adjacent brunnels of the same type (within maxGapKm of each other, default 1m)
+    // OSM often divides bridges/tunnels into multiple components
+    mergeAdjacentBrunnels(brunnels, maxGapKm = 0.001) {
+      // Separate by type - only merge same types (never merge bridge with tunnel)
+      const bridges = brunnels.filter(b => b.type === 'bridge');
+      const tunnels = brunnels.filter(b => b.type === 'tunnel');
+
+      const mergedBridges = this._mergeByType(bridges, maxGapKm);
+      const mergedTunnels = this._mergeByType(tunnels, maxGapKm);
+
+      return [...mergedBridges, ...mergedTunnels];
+    },
+
+    _mergeByType(brunnels, maxGapKm) {
+      if (brunnels.length === 0) return [];
+
+      // Sort by start distance on route
+      const sorted = [...brunnels].sort((a, b) =>
+        (a.routeSpan?.startDistance || 0) - (b.routeSpan?.startDistance || 0)
+      );
+
+      const merged = [];
+      let currentGroup = [sorted[0]];
+
+      for (let i = 1; i < sorted.length; i++) {
+        const prev = currentGroup[currentGroup.length - 1];
+        const curr = sorted[i];
+
+        // Check if within the merge gap of each other
+        const gap = curr.routeSpan.startDistance - prev.routeSpan.endDistance;
+        if (gap <= maxGapKm) {
+          currentGroup.push(curr);
+        } else {
+          merged.push(this._createMergedBrunnel(currentGroup));
+          currentGroup = [curr];
+        }
+      }
+
+      // Don't forget the last group
+      merged.push(this._createMergedBrunnel(currentGroup));
+
+      return merged;
+    },
+
+    _createMergedBrunnel(group) {
+      if (group.length === 1) return group[0];
+
+      // Merge route span (min start to max end)
+      const startDistance = Math.min(...group.map(b => b.routeSpan.startDistance));
+      const endDistance = Math.max(...group.map(b => b.routeSpan.endDistance));
+
+      // Merge names: if all match, use once; if different, join with semicolons
+      const names = group.map(b => b.name);
+      const uniqueNames = [...new Set(names)];
+      const mergedName = uniqueNames.length === 1 ? uniqueNames[0] : uniqueNames.join('; ');
+
+      // A way the user forced stands for the group, so their choice keeps its
+      // id; otherwise the first one does. Copied, since the parts are still
+      // reported as candidates with their own spans
+      const representative = group.find(b => b.forced) || group[0];
+      return Object.assign(Object.create(Object.getPrototypeOf(representative)), representative, {
+        routeSpan: { startDistance, endDistance },
+        name: mergedName,
+        forced: group.some(b => b.forced)
+      });
+    }
+  };
+
+  // ============================================================================
+  // Route Data
+  // ============================================================================
+
+  // Build the route object used throughout the pipeline
+  // Route format: [[lat, lon, elevation, cumulative_distance_meters], ...]
+  function buildRoute(routePoints) {
+    const coords = routePoints.map(point => ({
+      lat: point[0],
+      lon: point[1],
+      elevation: point[2],
+      distance: point[3]
+    }));
+
+    // Distance is in meters, convert to km for totalDistance
+    const totalDistance = coords[coords.length - 1].distance / 1000;
+
+    const turfCoords = coords.map(c => [c.lon, c.lat]);
+    const turfLineString = turf.lineString(turfCoords);
+
+    return {
+      coordinates: coords,
+      totalDistance,
+      turfLineString
+    };
+  }
+
+  // ============================================================================
+  // Analysis Pipeline
+  // ============================================================================
+
+  // Pure and synchronous, so it can be re-run whenever the filter options
+  // change. Builds fresh Brunnel instances each time because the pipeline
+  // records its results on them. forceInclude lists the span ids (see
+  // Brunnel.spanId) of passes to include whatever the filters say.
+  function analyzeCandidates(route, overpassData, options = {}) {
+    const { routeBuffer = 3, bearingTolerance = 20, mergeGap = 1, forceInclude = [] } = options;
+    const forcedIds = new Set(forceInclude);
+
+    // Create Brunnel instances
+    const candidates = Brunnel.fromOverpassData(overpassData);
+
+    // Filter by containment (distance-based, avoids buffer polygon issues)
+    BrunnelAnalysis.filterContained(candidates, route, routeBuffer);
+
+    // Calculate route spans, one per pass when the route crosses a brunnel repeatedly
+    const brunnels = BrunnelAnalysis.calculateRouteSpans(candidates, route, routeBuffer);
+
+    // Calculate cumulative distances for alignment check
+    const cumulativeDistances = GeometryUtils.calculateCumulativeDistances(route.coordinates);
+
+    // Filter by alignment
+    BrunnelAnalysis.filterAligned(brunnels, route.coordinates, cumulativeDistances, bearingTolerance);
+
+    // Handle overlaps
+    BrunnelAnalysis.handleOverlaps(brunnels, route);
+
+    // Record why each candidate was excluded, then let the user's
+    // "include anyway" choices override the filters
+    const excluded = [];
+    for (const brunnel of brunnels) {
+      if (brunnel.isIncluded()) continue;
+      if (forcedIds.has(brunnel.spanId) && brunnel.routeSpan) {
+        brunnel.exclusionReason = null;
+        brunnel.forced = true;
+      } else {
+        excluded.push(BrunnelAnalysis.describeExclusion(brunnel, route, cumulativeDistances));
+      }
+    }
+
+    // Get included brunnels
+    const includedBrunnels = brunnels.filter(b => b.isIncluded() && b.routeSpan);
+
+    // Merge adjacent brunnels of the same type (within mergeGap meters)
+    // OSM often divides bridges/tunnels into multiple components
+    const mergedBrunnels = BrunnelAnalysis.mergeAdjacentBrunnels(includedBrunnels, mergeGap / 1000);
+
+    // Return plain data so the result can be posted between contexts
+    return {
+      brunnels: mergedBrunnels.map(b => ({
+        id: b.spanId,
+        osmId: b.id,
+        pass: b.passIndex + 1,
+        passCount: b.passCount,
+        type: b.type,
+        name: b.name,
+        startDistance: b.routeSpan.startDistance,
+        endDistance: b.routeSpan.endDistance,
+        forced: b.forced || false,
+        terrain: BrunnelAnalysis.terrainDiagnostics({ type: b.type, ...b.routeSpan }, route.coordinates)
+      })),
+      excluded,
+      // Every candidate pass before merging, with the filter outcome, for export
+      candidates: brunnels.map(b => ({
+        id: b.spanId,
+        osmId: b.id,
+        pass: b.passIndex + 1,
+        passCount: b.passCount,
+        type: b.type,
+        exclusionReason: b.exclusionReason,
+        forced: b.forced,
+        routeSpan: b.routeSpan
+          ? { startDistance: b.routeSpan.startDistance, endDistance: b.routeSpan.endDistance }
+          : null
+      })),
+      totalDistance: route.totalDistance
+    };
+  }
+
+  // ============================================================================
+  // Export
+  // ============================================================================
+
+  const BrunnelCore = {
+    CoordinateUtils,
+    GeometryUtils,
+    Brunnel,
+    BrunnelAnalysis,
+    buildRoute,
+    analyzeCandidates
+  };
+
+  // Export to global scope
+  if (isModule) {
+    module.exports = BrunnelCore;
+  } else {
+    global.BrunnelCore = BrunnelCore;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : typeof self !== 'undefined' ? self : this);
@@ -24,565 +24,190 @@
   let locatedBrunnels = [];
   let appliedBrunnelIds = new Set();
   let totalDistance = 0;
+  // Route and Overpass data from the last Locate, reused when filter options change
+  let fetchedCandidates = null;
+  // OSM ids the user chose to "include anyway" from the excluded list
+  let forcedBrunnelIds = new Set();
+  let reanalyzeTimer = null;
+  // Per-candidate filter outcomes from the last analysis, for GeoJSON export
+  let analysisCandidates = null;
+  // Identifies the current Locate run in the apply journal
+  let currentRunId = null;
+  // Per-row span edits: brunnel id -> { startOffsetMeters, endOffsetMeters }
+  let spanEdits = new Map();
+  // Review mode selection, and the last row clicked (anchor for shift-click ranges)
+  let selectedBrunnelIds = new Set();
+  let lastSelectedId = null;
 
   // ============================================================================
   // Turf.js CSP-compatible subset loaded via manifest content_scripts
   // ============================================================================
 
-  // turf-csp.js is loaded before this file and exports to global turf
+  // The shared scripts listed before this file in manifest.json export to the
+  // globals turf, RouteIndex, BrunnelCore, Overpass, BiketerraPages,
+  // BiketerraData, RouteImport, RouteExport and OptionStore
   function loadTurf() {
-    if (typeof turf !== 'undefined') {
+    if (typeof turf !== 'undefined' && typeof RouteIndex !== 'undefined' &&
+        typeof BrunnelCore !== 'undefined' && typeof Overpass !== 'undefined' &&
+        typeof BiketerraPages !== 'undefined' && typeof BiketerraData !== 'undefined' &&
+        typeof RouteImport !== 'undefined' && typeof RouteExport !== 'undefined' &&
+        typeof OptionStore !== 'undefined') {
       return Promise.resolve();
     }
     throw new Error('Turf.js not loaded. Check manifest.json content_scripts order.');
   }
 
   // ============================================================================
-  // Coordinate Utilities
+  // Brunnel Analysis Core (js/brunnel-core.js)
   // ============================================================================
 
-  const CoordinateUtils = {
-    toTurfCoords(coords) {
-      return coords.map(coord => [coord.lon, coord.lat]);
-    }
-  };
+  const { GeometryUtils, BrunnelAnalysis } = BrunnelCore;
 
   // ============================================================================
-  // Geometry Utilities (adapted from brunnels-js)
+  // Overpass API and cache (js/overpass.js)
   // ============================================================================
 
-  const GeometryUtils = {
-    // Extract cumulative distances from Biketerra's embedded route data
-    // Each coordinate has a 'distance' property with cumulative meters
-    calculateCumulativeDistances(routeCoords) {
-      return routeCoords.map(coord => coord.distance);
-    },
-
-    // Distance-based containment check (avoids problematic buffer polygon)
-    // Returns true if all brunnel points are within bufferMeters of the route
-    brunnelWithinDistance(brunnel, route, bufferMeters) {
-      const bufferKm = bufferMeters / 1000;
-      const routeLine = route.turfLineString;
-
-      for (const brunnelPoint of brunnel.turfPoints) {
-        const nearest = turf.nearestPointOnLine(routeLine, brunnelPoint);
-        const dist = turf.distance(brunnelPoint, nearest, { units: 'kilometers' });
-        if (dist > bufferKm) {
-          return false;
-        }
-      }
-      return true;
-    },
-
-    // Calculate route span using Turf for projection, but Biketerra's distances for positioning
-    // This finds where on the route line the brunnel endpoints project to,
-    // then uses Biketerra's embedded cumulative distances for accurate placement
-    calculateRouteSpan(brunnel, route) {
-      if (brunnel.geometry.length === 0) return null;
-
-      const routeLine = route.turfLineString;
-      const startPoint = brunnel.turfPoints[0];
-      const endPoint = brunnel.turfPoints[brunnel.turfPoints.length - 1];
-
-      // Use Turf to find projection point and segment index
-      const startNearest = turf.nearestPointOnLine(routeLine, startPoint);
-      const endNearest = turf.nearestPointOnLine(routeLine, endPoint);
-
-      // Convert Turf's location (based on its distance calc) to Biketerra's distances
-      // by finding which segment we're on and interpolating
-      const startDistance = this.turfLocationToBiketerraDistance(startNearest, route);
-      const endDistance = this.turfLocationToBiketerraDistance(endNearest, route);
-
-      return {
-        startDistance: Math.min(startDistance, endDistance),
-        endDistance: Math.max(startDistance, endDistance)
-      };
-    },
-
-    // Convert a Turf nearestPointOnLine result to Biketerra's distance system
-    // Uses Turf's calculated location (km) and maps it to Biketerra's distance scale
-    turfLocationToBiketerraDistance(nearestResult, route) {
-      // Turf's location is in km along the route (using Haversine)
-      const turfLocationKm = nearestResult.properties.location;
-
-      // We need to find which segment this falls into using Biketerra's distances
-      // and interpolate within that segment
-      const coords = route.coordinates;
-
-      // Build cumulative Turf distances for comparison
-      // (we need to find where turfLocationKm falls in terms of segment index)
-      let turfCumulative = 0;
-      let segmentIndex = 0;
-
-      for (let i = 0; i < coords.length - 1; i++) {
-        const p1 = coords[i];
-        const p2 = coords[i + 1];
-        const segmentDist = turf.distance(
-          turf.point([p1.lon, p1.lat]),
-          turf.point([p2.lon, p2.lat]),
-          { units: 'kilometers' }
-        );
-
-        if (turfCumulative + segmentDist >= turfLocationKm) {
-          segmentIndex = i;
-          break;
-        }
-        turfCumulative += segmentDist;
-        segmentIndex = i + 1;
-      }
-
-      // Clamp to valid range
-      segmentIndex = Math.min(segmentIndex, coords.length - 2);
-
-      const p1 = coords[segmentIndex];
-      const p2 = coords[segmentIndex + 1];
-
-      // Calculate how far along this segment (using Turf distances)
-      const segmentStartTurf = turfCumulative;
-      const segmentLengthTurf = turf.distance(
-        turf.point([p1.lon, p1.lat]),
-        turf.point([p2.lon, p2.lat]),
-        { units: 'kilometers' }
-      );
-
-      let t = 0;
-      if (segmentLengthTurf > 0) {
-        t = Math.min(1, Math.max(0, (turfLocationKm - segmentStartTurf) / segmentLengthTurf));
-      }
-
-      // Interpolate using Biketerra's distances
-      const dist1 = p1.distance; // meters
-      const dist2 = p2.distance; // meters
-      const interpolatedDistance = dist1 + t * (dist2 - dist1);
-
-
-      // Return in km
-      return interpolatedDistance / 1000;
-    },
-
-    getRouteSegment(routeCoords, cumulativeDistances, startDist, endDist) {
-      if (startDist >= endDist || startDist < 0) return [];
-
-      const startDistMeters = startDist * 1000;
-      const endDistMeters = endDist * 1000;
-
-      let startIndex = -1;
-      let endIndex = -1;
-
-      for (let i = 0; i < cumulativeDistances.length; i++) {
-        const currentDistance = cumulativeDistances[i];
-
-        if (startIndex === -1 && currentDistance >= startDistMeters) {
-          startIndex = Math.max(0, i - 1);
-        }
-
-        if (currentDistance >= endDistMeters) {
-          endIndex = Math.min(routeCoords.length - 1, i + 1);
-          break;
-        }
-      }
-
-      if (endIndex === -1) endIndex = routeCoords.length - 1;
-      if (startIndex === -1) return [];
-
-      return routeCoords.slice(startIndex, endIndex + 1);
-    },
-
-    isBrunnelAligned(brunnel, routeCoords, cumulativeDistances, routeSpan, toleranceDegrees) {
-      if (brunnel.geometry.length < 2 || routeCoords.length < 2 || !routeSpan) {
-        return true;
-      }
-
-      const routeSegment = this.getRouteSegment(
-        routeCoords, cumulativeDistances, routeSpan.startDistance, routeSpan.endDistance
-      );
-
-      if (routeSegment.length < 2) return true;
-
-      for (let i = 0; i < brunnel.turfPoints.length - 1; i++) {
-        const brunnelStart = brunnel.turfPoints[i];
-        const brunnelEnd = brunnel.turfPoints[i + 1];
-        const brunnelBearing = turf.rhumbBearing(brunnelStart, brunnelEnd);
-
-        for (let j = 0; j < routeSegment.length - 1; j++) {
-          const routeStart = turf.point(CoordinateUtils.toTurfCoords([routeSegment[j]])[0]);
-          const routeEnd = turf.point(CoordinateUtils.toTurfCoords([routeSegment[j + 1]])[0]);
-          const routeBearing = turf.rhumbBearing(routeStart, routeEnd);
-
-          const bearingDiff = this.getBearingDifference(brunnelBearing, routeBearing);
-
-          if (bearingDiff <= toleranceDegrees) return true;
-        }
-      }
-
-      return false;
-    },
-
-    getBearingDifference(bearing1, bearing2) {
-      let diff = Math.abs(bearing1 - bearing2);
-      if (diff > 180) diff = 360 - diff;
-      if (diff > 90) diff = Math.abs(180 - diff);
-      return diff;
-    },
-
-    calculateBounds(coords) {
-      const points = CoordinateUtils.toTurfCoords(coords).map(coord => turf.point(coord));
-      const bbox = turf.bbox(turf.featureCollection(points));
-
-      return {
-        minLon: bbox[0],
-        minLat: bbox[1],
-        maxLon: bbox[2],
-        maxLat: bbox[3]
-      };
-    },
-
-    expandBounds(bounds, bufferMeters) {
-      const centerLat = (bounds.minLat + bounds.maxLat) / 2;
-      const latBuffer = bufferMeters / 111320;
-      const lonBuffer = bufferMeters / (111320 * Math.cos(centerLat * Math.PI / 180));
-
-      return {
-        minLat: bounds.minLat - latBuffer,
-        maxLat: bounds.maxLat + latBuffer,
-        minLon: bounds.minLon - lonBuffer,
-        maxLon: bounds.maxLon + lonBuffer
-      };
-    },
-
-    isValidCoordinate(lat, lon) {
-      return typeof lat === 'number' && typeof lon === 'number' &&
-        !isNaN(lat) && !isNaN(lon) &&
-        lat >= -80 && lat <= 80 &&
-        lon >= -180 && lon <= 180;
-    },
-
-    validateGeometry(geometry) {
-      const validCoords = [];
-      for (const node of geometry) {
-        if (this.isValidCoordinate(node.lat, node.lon)) {
-          validCoords.push({ lat: node.lat, lon: node.lon });
-        }
-      }
-      return validCoords.length >= 2 ? validCoords : null;
-    }
-  };
+  const { OverpassAPI, OverpassCache } = Overpass;
 
   // ============================================================================
-  // Overpass API (adapted from brunnels-js)
+  // Biketerra Selectors
   // ============================================================================
 
-  const OverpassAPI = {
-    OVERPASS_URL: 'https://overpass-api.de/api/interpreter',
-
-    async queryBrunnels(bounds, options = {}) {
-      const { timeout = 30 } = options;
-      const query = this.buildOverpassQuery(bounds, timeout);
-
-      const response = await fetch(this.OVERPASS_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        body: `data=${encodeURIComponent(query)}`
-      });
-
-      if (!response.ok) {
-        throw new Error(`Overpass API error: ${response.status}`);
+  // Every Biketerra DOM element the integration touches, with fallback
+  // candidates tried in order. A candidate is a selector, or { selector, closest }
+  // to match an inner element and climb to its container. Bump VERSION when
+  // the defaults change so compatibility reports say which set was checked.
+  // Elements marked unverified: true have never been checked against the live
+  // editor's markup; the compatibility check reports them as failures.
+  const BiketerraSelectors = {
+    VERSION: '2',
+
+    elements: {
+      elevationChart: {
+        description: 'Elevation chart',
+        required: true,
+        candidates: ['.elev-chart', '[class*="elev-chart"]']
+      },
+      elevationSvg: {
+        description: 'Elevation chart SVG',
+        required: false,
+        within: 'elevationChart',
+        candidates: ['.alt-svg', 'svg']
+      },
+      bridgeButton: {
+        description: 'Bridge toolbar button',
+        required: true,
+        candidates: [
+          { selector: 'img[src*="ico-bridge"]', closest: '.toolbar-item' },
+          '.toolbar-item[title*="bridge" i]',
+          'button[aria-label*="bridge" i]'
+        ]
+      },
+      tunnelButton: {
+        description: 'Tunnel toolbar button',
+        required: true,
+        candidates: [
+          { selector: 'img[src*="ico-tunnel"]', closest: '.toolbar-item' },
+          '.toolbar-item[title*="tunnel" i]',
+          'button[aria-label*="tunnel" i]'
+        ]
+      },
+      toolbarButtonIcon: {
+        description: 'Toolbar button icon',
+        required: false,
+        within: 'bridgeButton',
+        candidates: ['img', '.toolbar-item-icon']
+      },
+      scaleFirstTick: {
+        description: 'Chart scale start label',
+        required: true,
+        candidates: ['.elev-scale-first-tick']
+      },
+      scaleLastTick: {
+        description: 'Chart scale end label',
+        required: true,
+        candidates: ['.elev-scale-last-tick']
+      },
+      scaleTick: {
+        description: 'Chart scale ticks',
+        required: false,
+        candidates: ['.elev-scale-tick']
+      },
+      scaleTickLabel: {
+        description: 'Chart scale tick labels',
+        required: false,
+        within: 'scaleTick',
+        candidates: ['.elev-scale-tick-label']
+      },
+      chartBrunnel: {
+        description: 'Brunnels drawn on the chart',
+        required: false,
+        unverified: true,
+        within: 'elevationChart',
+        candidates: ['[class*="bridge"], [class*="tunnel"]']
       }
-
-      const data = await response.json();
-      return this.processOverpassData(data);
-    },
-
-    buildOverpassQuery(bounds, timeout) {
-      const { minLat, minLon, maxLat, maxLon } = bounds;
-      const baseFilters = '[!waterway]["bicycle"!="no"]';
-      const activeRailwayTypes = 'rail|light_rail|subway|tram|narrow_gauge|funicular|monorail|miniature|preserved';
-      const railwayExclusion = `["railway"~"^(${activeRailwayTypes})$"]${baseFilters}(if:!is_closed());`;
-
-      return `[out:json][timeout:${timeout}][bbox:${minLat},${minLon},${maxLat},${maxLon}];
-(
-  (
-    way[bridge]${baseFilters}(if:!is_closed());
-    - way[bridge]${railwayExclusion}
-  );
-  way[bridge][highway=cycleway](if:!is_closed());
-);
-out count;
-out geom qt;
-(
-  (
-    way[tunnel]["tunnel"!="building_passage"]${baseFilters}(if:!is_closed());
-    - way[tunnel]${railwayExclusion}
-  );
-  way[tunnel]["tunnel"!="building_passage"][highway=cycleway](if:!is_closed());
-);
-out count;
-out geom qt;`;
     },
 
-    processOverpassData(data) {
-      const brunnels = { bridges: [], tunnels: [] };
-      if (!data.elements) return brunnels;
-
-      let currentType = null;
-
-      for (const element of data.elements) {
-        if (element.type === 'count') {
-          currentType = currentType === 'bridges' ? 'tunnels' : 'bridges';
-        } else if (element.type === 'way' && element.geometry) {
-          if (element.geometry.length < 2) continue;
-
-          const validGeometry = GeometryUtils.validateGeometry(element.geometry);
-          if (!validGeometry) continue;
-
-          const brunnel = {
-            id: element.id,
-            tags: element.tags || {},
-            geometry: validGeometry,
-            nodes: element.nodes || [],
-            type: currentType === 'bridges' ? 'bridge' : 'tunnel',
-            name: this.extractName(element.tags)
-          };
-
-          if (currentType === 'bridges') {
-            brunnels.bridges.push(brunnel);
-          } else if (currentType === 'tunnels') {
-            brunnels.tunnels.push(brunnel);
-          }
-        }
+    // Put extra candidates ahead of the defaults, e.g. { bridgeButton: ['.new-bridge'] }
+    register(overrides) {
+      for (const [name, candidates] of Object.entries(overrides)) {
+        const element = this.elements[name];
+        if (!element) throw new Error(`Unknown Biketerra element: ${name}`);
+        element.candidates = [...candidates, ...element.candidates];
       }
-
-      return brunnels;
     },
 
-    extractName(tags) {
-      const nameKeys = ['name', 'name:en', 'ref', 'bridge:name', 'tunnel:name'];
-      for (const key of nameKeys) {
-        if (tags[key]) return tags[key];
-      }
-
-      const type = tags.bridge ? 'Bridge' : 'Tunnel';
-      if (tags.highway) {
-        const highway = tags.highway.charAt(0).toUpperCase() + tags.highway.slice(1);
-        return highway;
-      }
-      return type;
-    }
-  };
-
-  // ============================================================================
-  // Brunnel Class (adapted from brunnels-js)
-  // ============================================================================
-
-  class Brunnel {
-    constructor(data) {
-      this.id = data.id;
-      this.type = data.type;
-      this.name = data.name;
-      this.tags = data.tags;
-      this.geometry = data.geometry;
-      this.turfLineString = turf.lineString(CoordinateUtils.toTurfCoords(this.geometry));
-      this.turfPoints = this.geometry.map(coord =>
-        turf.point(CoordinateUtils.toTurfCoords([coord])[0])
-      );
-      this.nodes = data.nodes || [];
-      this.routeSpan = null;
-      this.exclusionReason = null;
-    }
-
-    static fromOverpassData(overpassData) {
-      const brunnels = [];
-
-      for (const bridge of overpassData.bridges) {
-        brunnels.push(new Brunnel({
-          id: bridge.id,
-          type: 'bridge',
-          name: bridge.name,
-          tags: bridge.tags,
-          geometry: bridge.geometry,
-          nodes: bridge.nodes || []
-        }));
-      }
-
-      for (const tunnel of overpassData.tunnels) {
-        brunnels.push(new Brunnel({
-          id: tunnel.id,
-          type: 'tunnel',
-          name: tunnel.name,
-          tags: tunnel.tags,
-          geometry: tunnel.geometry,
-          nodes: tunnel.nodes || []
-        }));
-      }
-
-      return brunnels;
-    }
-
-    isWithinDistance(route, bufferMeters) {
-      return GeometryUtils.brunnelWithinDistance(this, route, bufferMeters);
-    }
-
-    calculateRouteSpan(route) {
-      this.routeSpan = GeometryUtils.calculateRouteSpan(this, route);
-    }
-
-    isAligned(routeCoords, cumulativeDistances, toleranceDegrees) {
-      if (!this.routeSpan) return true;
-      return GeometryUtils.isBrunnelAligned(
-        this, routeCoords, cumulativeDistances, this.routeSpan, toleranceDegrees
-      );
-    }
-
-    isIncluded() {
-      return this.exclusionReason === null;
-    }
-  }
-
-  // ============================================================================
-  // Brunnel Analysis (adapted from brunnels-js)
-  // ============================================================================
-
-  const BrunnelAnalysis = {
-    filterContained(brunnels, route, bufferMeters) {
-      return brunnels.filter(brunnel => {
-        const isWithin = brunnel.isWithinDistance(route, bufferMeters);
-        if (!isWithin) brunnel.exclusionReason = 'outlier';
-        return isWithin;
-      });
+    _match(candidate, root) {
+      const { selector, closest } = typeof candidate === 'string' ? { selector: candidate } : candidate;
+      const matches = [...root.querySelectorAll(selector)];
+      return closest ? matches.map(el => el.closest(closest)).filter(Boolean) : matches;
     },
 
-    calculateRouteSpans(brunnels, route) {
-      for (const brunnel of brunnels) {
-        brunnel.calculateRouteSpan(route);
+    // All matches of the first candidate that matches anything
+    findAll(name, root = document) {
+      const element = this.elements[name];
+      for (const candidate of element.candidates) {
+        const matches = this._match(candidate, root);
+        if (matches.length > 0) return matches;
       }
+      return [];
     },
 
-    filterAligned(brunnels, routeCoords, cumulativeDistances, toleranceDegrees) {
-      for (const brunnel of brunnels) {
-        if (brunnel.isIncluded()) {
-          if (!brunnel.isAligned(routeCoords, cumulativeDistances, toleranceDegrees)) {
-            brunnel.exclusionReason = 'misaligned';
-          }
-        }
-      }
+    find(name, root = document) {
+      return this.findAll(name, root)[0] || null;
     },
 
-    handleOverlaps(brunnels, route) {
-      const includedBrunnels = brunnels.filter(b => b.isIncluded() && b.routeSpan);
-      const overlapGroups = [];
-
-      for (const brunnel of includedBrunnels) {
-        let foundGroup = false;
-
-        for (const group of overlapGroups) {
-          const overlaps = group.some(other => this.routeSpansOverlap(brunnel.routeSpan, other.routeSpan));
-          if (overlaps) {
-            group.push(brunnel);
-            foundGroup = true;
-            break;
-          }
-        }
-
-        if (!foundGroup) {
-          overlapGroups.push([brunnel]);
-        }
-      }
-
-      for (const group of overlapGroups) {
-        if (group.length > 1) {
-          const brunnelDistances = group.map(brunnel => ({
-            brunnel,
-            avgDistance: this._calculateAverageDistanceToRoute(brunnel, route)
-          }));
-
-          brunnelDistances.sort((a, b) => a.avgDistance - b.avgDistance);
-
-          for (let i = 1; i < brunnelDistances.length; i++) {
-            brunnelDistances[i].brunnel.exclusionReason = 'alternative';
-          }
+    // Probe each element on the live page. Returns
+    // [{ name, description, required, unverified, found, candidate }] where
+    // candidate is the index of the matching fallback (0 = primary)
+    check() {
+      return Object.entries(this.elements).map(([name, element]) => {
+        const root = element.within ? this.find(element.within) : document;
+        let candidate = -1;
+        if (root) {
+          candidate = element.candidates.findIndex(c => this._match(c, root).length > 0);
         }
-      }
-    },
-
-    _calculateAverageDistanceToRoute(brunnel, route) {
-      const routeLine = route.turfLineString;
-      let totalDistance = 0;
-
-      for (const brunnelPoint of brunnel.turfPoints) {
-        const nearestPoint = turf.nearestPointOnLine(routeLine, brunnelPoint);
-        const distance = turf.distance(brunnelPoint, nearestPoint, { units: 'meters' });
-        totalDistance += distance;
-      }
-
-      return totalDistance / brunnel.geometry.length;
-    },
-
-    routeSpansOverlap(span1, span2) {
-      return !(span1.endDistance <= span2.startDistance || span2.endDistance <= span1.startDistance);
-    },
-
-    // Merge adjacent brunnels of the same type (within 1m of each other)
-    // OSM often divides bridges/tunnels into multiple components
-    mergeAdjacentBrunnels(brunnels) {
-      // Separate by type - only merge same types (never merge bridge with tunnel)
-      const bridges = brunnels.filter(b => b.type === 'bridge');
-      const tunnels = brunnels.filter(b => b.type === 'tunnel');
-
-      const mergedBridges = this._mergeByType(bridges);
-      const mergedTunnels = this._mergeByType(tunnels);
 
-      return [...mergedBridges, ...mergedTunnels];
+        return {
+          name,
+          description: element.description,
+          required: element.required,
+          unverified: element.unverified || false,
+          found: candidate !== -1,
+          candidate
+        };
+      });
     },
 
-    _mergeByType(brunnels) {
-      if (brunnels.length === 0) return [];
-
-      // Sort by start distance on route
-      const sorted = [...brunnels].sort((a, b) =>
-        (a.routeSpan?.startDistance || 0) - (b.routeSpan?.startDistance || 0)
-      );
-
-      const merged = [];
-      let currentGroup = [sorted[0]];
-
-      for (let i = 1; i < sorted.length; i++) {
-        const prev = currentGroup[currentGroup.length - 1];
-        const curr = sorted[i];
-
-        // Check if within 1m (0.001 km) of each other
-        const gap = curr.routeSpan.startDistance - prev.routeSpan.endDistance;
-        if (gap <= 0.001) {
-          currentGroup.push(curr);
-        } else {
-          merged.push(this._createMergedBrunnel(currentGroup));
-          currentGroup = [curr];
-        }
+    // Throw listing the required elements missing from the page
+    assertCompatible() {
+      const missing = this.check().filter(r => r.required && !r.found);
+      if (missing.length > 0) {
+        throw new Error(
+          `Biketerra page is missing: ${missing.map(r => r.description).join(', ')}. ` +
+          'Use Check compatibility for details.'
+        );
       }
-
-      // Don't forget the last group
-      merged.push(this._createMergedBrunnel(currentGroup));
-
-      return merged;
-    },
-
-    _createMergedBrunnel(group) {
-      if (group.length === 1) return group[0];
-
-      // Merge route span (min start to max end)
-      const startDistance = Math.min(...group.map(b => b.routeSpan.startDistance));
-      const endDistance = Math.max(...group.map(b => b.routeSpan.endDistance));
-
-      // Merge names: if all match, use once; if different, join with semicolons
-      const names = group.map(b => b.name);
-      const uniqueNames = [...new Set(names)];
-      const mergedName = uniqueNames.length === 1 ? uniqueNames[0] : uniqueNames.join('; ');
-
-      // Use first brunnel as representative, update its span and name
-      const representative = group[0];
-      representative.routeSpan = { startDistance, endDistance };
-      representative.name = mergedName;
-
-      return representative;
     }
   };
 
@@ -592,30 +217,26 @@ out geom qt;`;
 
   const BiketerraIntegration = {
     // Extract route ID from the current page URL
+    // Supports /routes/new?id=, /editor?id= and /editor/<route_id>
     getRouteId() {
-      const url = new URL(window.location.href);
-      // URL format: https://biketerra.com/editor?id=<route_id>
-      // or: https://biketerra.com/routes/new?id=<route_id>
-      const id = url.searchParams.get('id');
-      if (id) return id;
-
-      // Also check path for /editor/<route_id> format
-      const pathMatch = url.pathname.match(/\/editor\/(\d+)/);
-      if (pathMatch) return pathMatch[1];
+      return BiketerraPages.getRouteId(window.location.href);
+    },
 
-      return null;
+    // Key for per-route state; unsaved routes share one until they get an id
+    getRouteKey() {
+      return this.getRouteId() || 'unsaved';
     },
 
-    // Fetch route data from Biketerra's __data.json endpoint
-    async fetchRouteData() {
+    // Fetch the raw SvelteKit __data.json for the current route
+    async fetchDataJson() {
       const routeId = this.getRouteId();
       if (!routeId) {
         throw new Error('Could not extract route ID from URL');
       }
 
 
-      // Fetch the __data.json endpoint
-      const dataUrl = `https://biketerra.com/routes/new/__data.json?id=${routeId}`;
+      // Fetch the __data.json endpoint for whichever editor URL form we're on
+      const dataUrl = BiketerraPages.dataUrl(window.location.href);
       const response = await fetch(dataUrl, {
         credentials: 'include' // Include cookies for authentication
       });
@@ -624,144 +245,56 @@ out geom qt;`;
         throw new Error(`Failed to fetch route data: ${response.status} ${response.statusText}`);
       }
 
-      const data = await response.json();
-      return this.parseDataJson(data);
+      return response.json();
     },
 
-    // Parse the SvelteKit __data.json format to extract route data
-    // Prefers editableRoute (higher resolution) over simple_route
-    parseDataJson(data) {
-      // SvelteKit data format uses indexed arrays for deduplication
-      // Structure: { nodes: [{ type: 'data', data: [...] }, ...] }
-      if (!data.nodes || !Array.isArray(data.nodes)) {
-        throw new Error('Invalid data format: missing nodes array');
-      }
-
-      // Try each data node, preferring larger arrays (more data)
-      const dataNodes = data.nodes
-        .filter(node => node && node.type === 'data' && Array.isArray(node.data))
-        .sort((a, b) => b.data.length - a.data.length);
-
-      for (const node of dataNodes) {
-        // First try editableRoute (higher resolution with accurate distances)
-        const editableRoute = this.findEditableRouteInArray(node.data);
-        if (editableRoute) {
-          return editableRoute;
-        }
-      }
-
-      throw new Error('Could not find route data in response');
+    // Fetch the current route's points (see fetchRouteState)
+    async fetchRouteData() {
+      const { routePoints } = await this.fetchRouteState();
+      return routePoints;
     },
 
-    // Find editableRoute in the indexed data array
-    // Returns the dereferenced array of route points
-    findEditableRouteInArray(dataArray) {
-      // First, find the index mapping object that contains 'editableRoute' key
-      let editableRouteIndex = null;
-
-      for (const item of dataArray) {
-        if (typeof item === 'object' && item !== null && !Array.isArray(item)) {
-          if ('editableRoute' in item) {
-            editableRouteIndex = item.editableRoute;
-            break;
-          }
-        }
-      }
-
-      if (editableRouteIndex === null) {
-        return this.findSimpleRouteInArray(dataArray);
-      }
-
-      // Get the editableRoute array (list of indices to point objects)
-      const editableRouteIndices = dataArray[editableRouteIndex];
-      if (!Array.isArray(editableRouteIndices)) {
-        return this.findSimpleRouteInArray(dataArray);
-      }
-
-      // Dereference each point: each point is a list of 5 indices
-      // [lat_idx, lon_idx, elev_idx, dist_idx, smoothed_elev_idx]
-      const points = [];
-      for (const pointIndex of editableRouteIndices) {
-        const pointIndices = dataArray[pointIndex];
-        if (Array.isArray(pointIndices) && pointIndices.length >= 4) {
-          const lat = dataArray[pointIndices[0]];
-          const lon = dataArray[pointIndices[1]];
-          const elevation = dataArray[pointIndices[2]];
-          const distance = dataArray[pointIndices[3]];
-          points.push([lat, lon, elevation, distance]);
-        }
+    // The route's points. Prefers the route as the editor last sent or
+    // received it, which covers unsaved routes and edits since the last save;
+    // falls back to the saved copy on the server. source is 'page' or 'server'.
+    async fetchRouteState() {
+      const pageRoute = await PageRouteSource.readRoute();
+      if (pageRoute) {
+        return { ...pageRoute, source: 'page' };
       }
 
-      if (points.length > 0) {
-        return points;
+      if (!this.getRouteId()) {
+        throw new Error('No route found. Draw a route in the editor or open a saved one.');
       }
 
-      return null;
-    },
-
-    // Fallback: find simple_route in the indexed data array
-    findSimpleRouteInArray(dataArray) {
-      // simple_route is stored as a JSON string
-      for (const item of dataArray) {
-        if (typeof item === 'string' && item.startsWith('[[')) {
-          try {
-            const parsed = JSON.parse(item);
-            if (Array.isArray(parsed) && parsed.length > 0 &&
-                Array.isArray(parsed[0]) && parsed[0].length === 4 &&
-                typeof parsed[0][0] === 'number') {
-              return parsed;
-            }
-          } catch (e) {
-            // Not valid JSON, continue searching
-          }
-        }
-      }
-      return null;
+      const data = await this.fetchDataJson();
+      return { routePoints: BiketerraData.parseDataJson(data), source: 'server' };
     },
 
     // Parse route data into usable format
     parseRouteData(routePoints) {
-      // Route format: [[lat, lon, elevation, cumulative_distance_meters], ...]
-      const coords = routePoints.map(point => ({
-        lat: point[0],
-        lon: point[1],
-        elevation: point[2],
-        distance: point[3]
-      }));
-
-      // Distance is in meters, convert to km for totalDistance
-      const totalDistance = coords[coords.length - 1].distance / 1000;
-
-      const turfCoords = coords.map(c => [c.lon, c.lat]);
-      const turfLineString = turf.lineString(turfCoords);
-
-      return {
-        coordinates: coords,
-        totalDistance,
-        turfLineString
-      };
+      return BrunnelCore.buildRoute(routePoints);
     },
 
     // Get the elevation chart element
     getElevationChart() {
-      return document.querySelector('.elev-chart');
+      return BiketerraSelectors.find('elevationChart');
     },
 
     // Get the SVG element inside the elevation chart
     getElevationSvg() {
-      return document.querySelector('.elev-chart .alt-svg');
+      const chart = this.getElevationChart();
+      return chart ? BiketerraSelectors.find('elevationSvg', chart) : null;
     },
 
     // Get bridge button
     getBridgeButton() {
-      const img = document.querySelector('img[src*="ico-bridge"]');
-      return img ? img.closest('.toolbar-item') : null;
+      return BiketerraSelectors.find('bridgeButton');
     },
 
     // Get tunnel button
     getTunnelButton() {
-      const img = document.querySelector('img[src*="ico-tunnel"]');
-      return img ? img.closest('.toolbar-item') : null;
+      return BiketerraSelectors.find('tunnelButton');
     },
 
     // Convert distance (km) to x-position (0-1) on elevation chart
@@ -845,8 +378,8 @@ out geom qt;`;
     // Get the current visible range of the elevation chart (in km)
     // Uses intermediate tick marks for higher precision when available
     getChartVisibleRange() {
-      const firstTick = document.querySelector('.elev-scale-first-tick');
-      const lastTick = document.querySelector('.elev-scale-last-tick');
+      const firstTick = BiketerraSelectors.find('scaleFirstTick');
+      const lastTick = BiketerraSelectors.find('scaleLastTick');
 
       if (!firstTick || !lastTick) {
         console.warn('Could not find chart scale ticks');
@@ -868,7 +401,7 @@ out geom qt;`;
       }
 
       // Try to get more precise range from intermediate ticks
-      const intermediateTicks = document.querySelectorAll('.elev-scale-tick');
+      const intermediateTicks = BiketerraSelectors.findAll('scaleTick');
       let percentPerKm = null;
 
       if (intermediateTicks.length >= 2) {
@@ -876,7 +409,7 @@ out geom qt;`;
         const tickData = [];
         for (const tick of intermediateTicks) {
           const leftMatch = tick.style.left.match(/([\d.]+)%/);
-          const label = tick.querySelector('.elev-scale-tick-label');
+          const label = BiketerraSelectors.find('scaleTickLabel', tick);
           if (leftMatch && label) {
             const leftPercent = parseFloat(leftMatch[1]);
             const km = parseKm(label.textContent);
@@ -912,6 +445,24 @@ out geom qt;`;
       return { startKm, endKm, rangeKm: endKm - startKm, precise: false };
     },
 
+    // Where a distance falls across the chart's width for a visible range
+    // (0 = left edge, 1 = right edge), using the tick scale when available
+    chartFraction(km, visibleRange) {
+      if (visibleRange.percentPerKm) {
+        return (km - visibleRange.startKm) * visibleRange.percentPerKm / 100;
+      }
+      return (km - visibleRange.startKm) / visibleRange.rangeKm;
+    },
+
+    // The distance at a fraction of the chart's width; the inverse of
+    // chartFraction, so reading the chart back uses the scale applying did
+    chartKm(fraction, visibleRange) {
+      if (visibleRange.percentPerKm) {
+        return visibleRange.startKm + fraction * 100 / visibleRange.percentPerKm;
+      }
+      return visibleRange.startKm + fraction * visibleRange.rangeKm;
+    },
+
     // Trigger mouse interaction to update chart labels
     async triggerChartUpdate() {
       const chart = this.getElevationChart();
@@ -993,21 +544,8 @@ out geom qt;`;
 
 
       // Calculate pixel positions based on visible range
-      // Use percentPerKm if available for higher precision
-      let startPx, endPx;
-      if (visibleRange.percentPerKm) {
-        // High precision: use the calculated percent per km
-        const startPercent = (startKm - visibleRange.startKm) * visibleRange.percentPerKm;
-        const endPercent = (endKm - visibleRange.startKm) * visibleRange.percentPerKm;
-        startPx = rect.left + (startPercent / 100) * rect.width;
-        endPx = rect.left + (endPercent / 100) * rect.width;
-      } else {
-        // Standard precision: use start/end range
-        const startRelative = (startKm - visibleRange.startKm) / visibleRange.rangeKm;
-        const endRelative = (endKm - visibleRange.startKm) / visibleRange.rangeKm;
-        startPx = rect.left + (startRelative * rect.width);
-        endPx = rect.left + (endRelative * rect.width);
-      }
+      const startPx = rect.left + this.chartFraction(startKm, visibleRange) * rect.width;
+      const endPx = rect.left + this.chartFraction(endKm, visibleRange) * rect.width;
 
       const centerY = rect.top + (rect.height / 2);
       const pixelWidth = endPx - startPx;
@@ -1081,12 +619,11 @@ out geom qt;`;
 
 
       // Find all clickable elements within the button
-      const img = button.querySelector('img');
-      const icon = button.querySelector('.toolbar-item-icon');
+      const icon = BiketerraSelectors.find('toolbarButtonIcon', button);
 
 
       // Try dispatching a proper mouse click event instead of .click()
-      const clickTarget = img || icon || button;
+      const clickTarget = icon || button;
       const rect = clickTarget.getBoundingClientRect();
       const centerX = rect.left + rect.width / 2;
       const centerY = rect.top + rect.height / 2;
@@ -1119,9 +656,9 @@ out geom qt;`;
       await new Promise(resolve => setTimeout(resolve, 1));
     },
 
-    // Zoom the chart to show a specific brunnel
+    // Zoom the chart to show a specific brunnel, until at most maxRangeKm is visible
     // Returns the visible range after zooming, or null on error
-    async zoomToBrunnel(brunnel) {
+    async zoomToBrunnel(brunnel, maxRangeKm = 1.0) {
       const chart = this.getElevationChart();
       if (!chart) return null;
 
@@ -1134,7 +671,6 @@ out geom qt;`;
 
       if (!visibleRange) return null;
 
-      const maxRangeKm = 1.0;
       let iterations = 0;
       const maxIterations = 50;
 
@@ -1168,14 +704,7 @@ out geom qt;`;
       while (visibleRange.rangeKm > maxRangeKm && iterations < maxIterations) {
         const rect = chart.getBoundingClientRect();
 
-        let zoomCenterPx;
-        if (visibleRange.percentPerKm) {
-          const percent = (midpointKm - visibleRange.startKm) * visibleRange.percentPerKm;
-          zoomCenterPx = rect.left + (percent / 100) * rect.width;
-        } else {
-          const relative = (midpointKm - visibleRange.startKm) / visibleRange.rangeKm;
-          zoomCenterPx = rect.left + relative * rect.width;
-        }
+        let zoomCenterPx = rect.left + this.chartFraction(midpointKm, visibleRange) * rect.width;
         zoomCenterPx = Math.max(rect.left, Math.min(rect.right, zoomCenterPx));
         const centerY = rect.top + rect.height / 2;
 
@@ -1249,6 +778,7 @@ out geom qt;`;
       const endKm = brunnel.endDistance;
 
       if (zoom) {
+        BiketerraSelectors.assertCompatible();
         visibleRange = await this.zoomToBrunnel(brunnel);
         if (!visibleRange) {
           throw new Error('Could not zoom to brunnel');
@@ -1277,234 +807,1987 @@ out geom qt;`;
       await this.clickBrunnelButton(brunnel.type);
     },
 
-    // Apply multiple brunnels with a single initial zoom
-    async applyAllBrunnels(brunnels, routeCoords) {
-      if (brunnels.length === 0) return;
+    // Bring a brunnel into view without changing the route: zoom the chart to
+    // it with paddingKm either side, then select and deselect that range, which
+    // makes Biketerra's map zoom to it as well
+    async showBrunnel(brunnel, paddingKm) {
+      BiketerraSelectors.assertCompatible();
 
-      // Zoom once from left edge to target range
-      const visibleRange = await this.zoomToTargetRange();
+      const startKm = Math.max(0, brunnel.startDistance - paddingKm);
+      const endKm = brunnel.endDistance + paddingKm;
+      const visibleRange = await this.zoomToBrunnel(brunnel, endKm - startKm);
       if (!visibleRange) {
-        throw new Error('Could not zoom to target range');
+        throw new Error('Could not zoom to brunnel');
       }
 
-      // Apply each brunnel without per-brunnel zoom
-      for (const brunnel of brunnels) {
-        await this.applyBrunnel(brunnel, routeCoords, false, visibleRange);
-      }
-    }
-  };
+      await this.simulateSelection(startKm, endKm, null, visibleRange);
+      await this.rightClickToDeselect();
+    },
 
-  // ============================================================================
-  // Overlay Panel UI
-  // ============================================================================
+    // Brunnel spans drawn on the elevation chart, in km. Biketerra marks them
+    // with elements whose class names mention bridge/tunnel; their on-screen
+    // extent is converted to distance with chartKm.
+    // Returns null if the chart or its scale can't be read.
+    getChartBrunnelSpans() {
+      const chart = this.getElevationChart();
+      const visibleRange = this.getChartVisibleRange();
+      if (!chart || !visibleRange) return null;
 
-  function createPanel() {
-    if (panelElement) return panelElement;
+      const rect = chart.getBoundingClientRect();
+      if (rect.width === 0) return null;
+
+      const spans = [];
+      for (const el of BiketerraSelectors.findAll('chartBrunnel', chart)) {
+        const box = el.getBoundingClientRect();
+        if (box.width === 0) continue;
+
+        const className = typeof el.className === 'string' ? el.className : el.getAttribute('class') || '';
+        const toKm = (px) => this.chartKm((px - rect.left) / rect.width, visibleRange);
+        spans.push({
+          type: /tunnel/i.test(className) ? 'tunnel' : 'bridge',
+          startDistance: toKm(box.left),
+          endDistance: toKm(box.right)
+        });
+      }
+      return spans;
+    },
 
-    const panel = document.createElement('div');
-    panel.className = 'bt-brunnels-panel hidden';
-    panel.innerHTML = `
-      <div class="bt-brunnels-header">
-        <span>Biketerra Brunnels</span>
-        <button class="bt-brunnels-close" title="Close">&times;</button>
-      </div>
-      <div class="bt-brunnels-body">
-        <div class="bt-brunnels-status">Ready. Click "Locate Brunnels" to find bridges and tunnels on this route.</div>
+    // The route's brunnels in the chart's visible window, as one reading:
+    // { source, startKm, endKm, spans }. The chart includes unsaved edits.
+    // Null if the chart can't be read.
+    readRouteBrunnels() {
+      const visibleRange = this.getChartVisibleRange();
+      const spans = visibleRange && this.getChartBrunnelSpans();
+      if (!spans) return null;
+      return { source: 'chart', startKm: visibleRange.startKm, endKm: visibleRange.endKm, spans };
+    },
 
-        <div class="bt-brunnels-options">
-          <div class="bt-option-row">
-            <label for="bt-queryBuffer">Query buffer (m)</label>
-            <input type="number" id="bt-queryBuffer" value="10" min="5" max="50">
-          </div>
-          <div class="bt-option-row">
-            <label for="bt-routeBuffer">Route buffer (m)</label>
-            <input type="number" id="bt-routeBuffer" value="3" min="1" max="20">
-          </div>
-          <div class="bt-option-row">
-            <label for="bt-bearingTolerance">Bearing tolerance</label>
-            <input type="number" id="bt-bearingTolerance" value="20" min="5" max="45">
-          </div>
-        </div>
+    // Read the brunnels again after an edit
+    async readAppliedBrunnels() {
+      // Give the editor a moment to render the new brunnel
+      await new Promise(r => setTimeout(r, 300));
+      return this.readRouteBrunnels();
+    },
 
-        <div class="bt-brunnels-actions">
-          <button id="bt-locateBtn" class="bt-brunnels-btn primary">Locate Brunnels</button>
-          <button id="bt-applyBtn" class="bt-brunnels-btn primary" disabled>Apply All to Route</button>
-        </div>
+    // The brunnels already on the whole route, read from the chart zoomed out
+    // until it shows all of it. Null if the chart can't be read or won't
+    // zoom out that far.
+    async readExistingBrunnels(totalDistanceKm) {
+      const chart = this.getElevationChart();
+      if (!chart) return null;
+
+      await this.triggerChartUpdate();
+      let visibleRange = this.getChartVisibleRange();
+      if (!visibleRange) return null;
+
+      // Tick labels are rounded to 10 m
+      const showsWholeRoute = range => range.startKm <= 0.01 && range.endKm >= totalDistanceKm - 0.01;
+
+      const rect = chart.getBoundingClientRect();
+      const centerX = rect.left + rect.width / 2;
+      const centerY = rect.top + rect.height / 2;
+      let iterations = 0;
+      const maxIterations = 50;
+
+      while (!showsWholeRoute(visibleRange) && iterations < maxIterations) {
+        chart.dispatchEvent(new WheelEvent('wheel', {
+          bubbles: true, cancelable: true, view: window,
+          clientX: centerX, clientY: centerY,
+          deltaY: 120, deltaMode: 0
+        }));
+
+        await new Promise(r => requestAnimationFrame(r));
+        await this.triggerChartUpdate();
+        visibleRange = this.getChartVisibleRange();
+        if (!visibleRange) return null;
+        iterations++;
+      }
+
+      if (!showsWholeRoute(visibleRange)) return null;
+      return this.getChartBrunnelSpans();
+    },
+
+    // Remove a brunnel the extension applied. Selecting a range that already is
+    // a bridge/tunnel and clicking the same toolbar button toggles it off, but
+    // a selection that isn't exactly an existing span would apply a new one
+    // instead. So this zooms to the recorded span and selects the chart's
+    // matching span (same type, ends within toleranceMeters) as drawn, and
+    // stops with an error if there is none. Returns the span it toggled and
+    // the chart readings from before and after.
+    async removeBrunnel(span, routeCoords, toleranceMeters) {
+      BiketerraSelectors.assertCompatible();
+      const visibleRange = await this.zoomToBrunnel(span);
+      if (!visibleRange) {
+        throw new Error('Could not zoom to brunnel');
+      }
+
+      const before = this.readRouteBrunnels();
+      if (!before) {
+        throw new Error('Could not read the brunnels on the elevation chart');
+      }
+      const existing = BrunnelAnalysis.findMatchingSpan(span, before.spans, toleranceMeters);
+      if (!existing) {
+        throw new Error(
+          `No ${span.type} on the chart matches ${span.startDistance.toFixed(3)} - ${span.endDistance.toFixed(3)} km; ` +
+          'nothing was toggled'
+        );
+      }
+
+      await this.applyBrunnel(existing, routeCoords, false, visibleRange);
+      const after = await this.readAppliedBrunnels();
+      return { removed: existing, before, after };
+    },
+
+    // Apply multiple brunnels with a single initial zoom. Pass the visible
+    // range from a prior zoomToTargetRange to skip the zoom.
+    async applyAllBrunnels(brunnels, routeCoords, visibleRange = null) {
+      if (brunnels.length === 0) return;
+      BiketerraSelectors.assertCompatible();
+
+      // Zoom once from left edge to target range
+      if (!visibleRange) {
+        visibleRange = await this.zoomToTargetRange();
+      }
+      if (!visibleRange) {
+        throw new Error('Could not zoom to target range');
+      }
+
+      // Apply each brunnel without per-brunnel zoom
+      for (const brunnel of brunnels) {
+        await this.applyBrunnel(brunnel, routeCoords, false, visibleRange);
+      }
+    }
+  };
+
+  // ============================================================================
+  // Chart Preview Overlay
+  // ============================================================================
+
+  // Shades where located brunnels will land on the elevation chart, before
+  // anything is applied. The layer is a fixed-position sibling laid over the
+  // chart rather than a child of it, so it never shows up in
+  // getChartBrunnelSpans or catches the simulated mouse events. It redraws
+  // whenever the chart's scale labels or size change, i.e. on zoom and pan.
+  const ChartOverlay = {
+    // Returns the bands to draw: [{ id, type, name, startDistance, endDistance, applied }]
+    getBands: () => [],
+
+    layer: null,
+    chart: null,
+    mutationObserver: null,
+    resizeObserver: null,
+    highlightId: null,
+    frame: null,
+    drawn: null,
+
+    // Redraw on the next animation frame
+    refresh() {
+      if (this.frame) return;
+      this.frame = requestAnimationFrame(() => {
+        this.frame = null;
+        this._render();
+      });
+    },
+
+    highlight(id) {
+      this.highlightId = id;
+      this.refresh();
+    },
+
+    _render() {
+      const bands = this.getBands();
+      const chart = bands.length > 0 ? BiketerraIntegration.getElevationChart() : null;
+      // Check for the scale first: getChartVisibleRange warns when it's missing
+      const visibleRange = chart && BiketerraSelectors.find('scaleFirstTick')
+        ? BiketerraIntegration.getChartVisibleRange()
+        : null;
+      if (!chart || !visibleRange) {
+        this._detach();
+        return;
+      }
+      if (chart !== this.chart) this._attach(chart);
+
+      const rect = chart.getBoundingClientRect();
+      const html = bands.map(band => {
+        const left = Math.max(0, BiketerraIntegration.chartFraction(band.startDistance, visibleRange));
+        const right = Math.min(1, BiketerraIntegration.chartFraction(band.endDistance, visibleRange));
+        if (right < 0 || left > 1) return '';
+
+        const classes = ['bt-chart-band', band.type];
+        if (band.applied) classes.push('applied');
+        if (band.id === this.highlightId) classes.push('highlight');
+        return `<div class="${classes.join(' ')}" style="left: ${(left * 100).toFixed(3)}%; width: ${(Math.max(0, right - left) * 100).toFixed(3)}%">` +
+          `<span>${escapeHtml(band.name)}</span></div>`;
+      }).join('');
+
+      // Only touch the DOM when something moved, so our own mutations don't
+      // keep the observer firing
+      const drawn = `${rect.left},${rect.top},${rect.width},${rect.height}|${html}`;
+      if (drawn === this.drawn) return;
+      this.drawn = drawn;
+
+      Object.assign(this.layer.style, {
+        left: `${rect.left}px`,
+        top: `${rect.top}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`
+      });
+      this.layer.innerHTML = html;
+    },
+
+    _attach(chart) {
+      this._detach();
+      this.chart = chart;
+
+      this.layer = document.createElement('div');
+      this.layer.className = 'bt-chart-overlay';
+      document.body.appendChild(this.layer);
+
+      // Watch the nearest ancestor holding both the chart and its scale labels
+      let root = chart;
+      const firstTick = BiketerraSelectors.find('scaleFirstTick');
+      while (root.parentElement && firstTick && !root.contains(firstTick)) {
+        root = root.parentElement;
+      }
+
+      this.mutationObserver = new MutationObserver(records => {
+        if (records.every(r => this.layer?.contains(r.target))) return;
+        this.refresh();
+      });
+      this.mutationObserver.observe(root, { subtree: true, childList: true, attributes: true, characterData: true });
+
+      this.resizeObserver = new ResizeObserver(() => this.refresh());
+      this.resizeObserver.observe(chart);
+
+      this._onViewportChange = () => this.refresh();
+      window.addEventListener('resize', this._onViewportChange);
+      window.addEventListener('scroll', this._onViewportChange, true);
+    },
+
+    _detach() {
+      this.mutationObserver?.disconnect();
+      this.resizeObserver?.disconnect();
+      if (this._onViewportChange) {
+        window.removeEventListener('resize', this._onViewportChange);
+        window.removeEventListener('scroll', this._onViewportChange, true);
+      }
+      this.layer?.remove();
+      this.layer = null;
+      this.chart = null;
+      this.mutationObserver = null;
+      this.resizeObserver = null;
+      this._onViewportChange = null;
+      this.drawn = null;
+    }
+  };
+
+  // ============================================================================
+  // Page Route Source
+  // ============================================================================
+
+  // Reads the in-editor route from the JSON payloads captured by
+  // page-route-bridge.js, which runs in the page's main world. Only payloads
+  // that are this route's data are used: the SvelteKit __data.json response
+  // for the current editor URL, or JSON (such as the editor's save request)
+  // holding the points under Biketerra's own editableRoute or simple_route
+  // key. Anything else, or a route whose point distances don't add up,
+  // leaves fetchRouteState to fetch the saved copy instead.
+  const PageRouteSource = {
+    CHANNEL: 'bt-brunnels-route-bridge',
+    REPLY_TIMEOUT_MS: 500,
+    ROUTE_KEYS: ['editableRoute', 'simple_route'],
+    // How far the payload's total distance may be from the length measured
+    // along its points
+    DISTANCE_TOLERANCE: { meters: 20, ratio: 0.01 },
+    _requestId: 0,
+
+    // Captured payloads, newest first; empty if the bridge isn't running
+    requestCaptures() {
+      const requestId = ++this._requestId;
+
+      return new Promise(resolve => {
+        const timer = setTimeout(() => {
+          window.removeEventListener('message', onMessage);
+          resolve([]);
+        }, this.REPLY_TIMEOUT_MS);
+
+        const onMessage = (event) => {
+          if (event.source !== window || event.data?.channel !== this.CHANNEL) return;
+          if (event.data.type !== 'captures' || event.data.requestId !== requestId) return;
+          clearTimeout(timer);
+          window.removeEventListener('message', onMessage);
+          resolve(event.data.captures || []);
+        };
+
+        window.addEventListener('message', onMessage);
+        window.postMessage({ channel: this.CHANNEL, type: 'getCaptures', requestId }, window.location.origin);
+      });
+    },
+
+    // { routePoints, routeKey, capturedAt, url, direction }
+    // from the newest captured payload holding this route, or null. routeKey
+    // is the key the points were under, null for __data.json
+    async readRoute() {
+      for (const capture of await this.requestCaptures()) {
+        const route = this.extractRoute(capture, window.location.href);
+        if (route && this.distancesAgree(route.routePoints)) {
+          return { ...route, capturedAt: capture.capturedAt, url: capture.url, direction: capture.direction };
+        }
+      }
+      return null;
+    },
+
+    extractRoute(capture, pageUrl) {
+      const { payload } = capture;
+      if (payload && Array.isArray(payload.nodes)) {
+        if (!BiketerraPages.isDataUrlFor(capture.url, pageUrl)) return null;
+        try {
+          return { routePoints: BiketerraData.parseDataJson(payload), routeKey: null };
+        } catch (e) {
+          return null;
+        }
+      }
+
+      const found = this._findRoutePoints(payload, 0);
+      if (!found) return null;
+
+      return { routePoints: this._withDistances(found.points), routeKey: found.key };
+    },
+
+    // Whether the route's last cumulative distance matches the length
+    // measured along its points, i.e. the distances belong to these points
+    distancesAgree(routePoints) {
+      const measured = RouteImport.toRoutePoints(routePoints);
+      const measuredMeters = measured[measured.length - 1][3];
+      const totalMeters = routePoints[routePoints.length - 1][3];
+      const { meters, ratio } = this.DISTANCE_TOLERANCE;
+      return Math.abs(totalMeters - measuredMeters) <= Math.max(meters, measuredMeters * ratio);
+    },
+
+    // { points, key } for the points stored under one of ROUTE_KEYS anywhere
+    // in the payload, as [[lat, lon, elevation, distance|null]]
+    _findRoutePoints(value, depth) {
+      if (depth > 8 || value === null || typeof value !== 'object') return null;
+
+      if (!Array.isArray(value)) {
+        for (const key of this.ROUTE_KEYS) {
+          let list = value[key];
+          // simple_route is stored as a JSON string
+          if (typeof list === 'string') {
+            try {
+              list = JSON.parse(list);
+            } catch (e) {
+              continue;
+            }
+          }
+          const points = Array.isArray(list) ? this._toPoints(list) : null;
+          if (points) return { points, key };
+        }
+      }
+
+      for (const child of Object.values(value)) {
+        const found = this._findRoutePoints(child, depth + 1);
+        if (found) return found;
+      }
+      return null;
+    },
+
+    // A list of [lat, lon, elevation?, distance?] arrays (Biketerra's own
+    // order) or { lat, lon|lng, ele|elevation, distance } objects
+    _toPoints(list) {
+      if (list.length < 2) return null;
+
+      const isLatLon = (lat, lon) => typeof lat === 'number' && typeof lon === 'number' &&
+        Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+
+      if (list.every(p => Array.isArray(p) && p.length >= 2 && isLatLon(p[0], p[1]))) {
+        return list.map(p => [p[0], p[1], p[2] ?? null, typeof p[3] === 'number' ? p[3] : null]);
+      }
+
+      if (list.every(p => p && typeof p === 'object' && isLatLon(p.lat, p.lon ?? p.lng))) {
+        return list.map(p => [
+          p.lat,
+          p.lon ?? p.lng,
+          p.ele ?? p.elevation ?? null,
+          typeof (p.distance ?? p.dist) === 'number' ? (p.distance ?? p.dist) : null
+        ]);
+      }
+
+      return null;
+    },
+
+    // Keep the payload's distances (meters) when every point has one and they
+    // never decrease; otherwise measure along the points
+    _withDistances(points) {
+      const hasDistances = points.every((p, i) =>
+        p[3] !== null && (i === 0 || p[3] >= points[i - 1][3])
+      );
+      return hasDistances ? points : RouteImport.toRoutePoints(points);
+    }
+  };
+
+  // ============================================================================
+  // Apply Journal
+  // ============================================================================
+
+  // Every brunnel the extension applies, kept per route in sessionStorage so
+  // it survives a page reload and can be undone. Entries record the span that
+  // actually landed when verification found one, since that's what to remove.
+  const ApplyJournal = {
+    KEY_PREFIX: 'bt-brunnels-journal:',
+
+    _key(routeId) {
+      return `${this.KEY_PREFIX}${routeId}`;
+    },
+
+    load(routeId) {
+      if (!routeId) return [];
+      try {
+        return JSON.parse(sessionStorage.getItem(this._key(routeId))) || [];
+      } catch (e) {
+        return [];
+      }
+    },
+
+    save(routeId, entries) {
+      if (!routeId) return;
+      if (entries.length === 0) {
+        sessionStorage.removeItem(this._key(routeId));
+      } else {
+        sessionStorage.setItem(this._key(routeId), JSON.stringify(entries));
+      }
+    },
+
+    // Record an application; returns the journal entry
+    record(routeId, runId, brunnel, actual = null) {
+      const span = actual || brunnel;
+      const entry = {
+        entryId: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        runId,
+        brunnelId: brunnel.id,
+        osmId: brunnel.osmId,
+        type: brunnel.type,
+        name: brunnel.name,
+        startDistance: span.startDistance,
+        endDistance: span.endDistance,
+        appliedAt: Date.now()
+      };
+
+      const entries = this.load(routeId);
+      entries.push(entry);
+      this.save(routeId, entries);
+      return entry;
+    },
+
+    remove(routeId, entryIds) {
+      const ids = new Set(entryIds);
+      this.save(routeId, this.load(routeId).filter(e => !ids.has(e.entryId)));
+    }
+  };
+
+  // ============================================================================
+  // Analysis Runner
+  // ============================================================================
+
+  // Runs BrunnelCore.analyzeCandidates in a worker hosted by the extension's
+  // offscreen document (via the background service worker), so the geometry
+  // work doesn't block Biketerra's editor. Falls back to running on the page
+  // if the worker can't be reached.
+  const AnalysisRunner = {
+    _requestId: 0,
+
+    // Resolves with the analysis result, or null if a newer request or
+    // cancel() superseded this one
+    async analyze(routePoints, route, overpassData, options) {
+      const requestId = ++this._requestId;
+
+      let response;
+      try {
+        response = await chrome.runtime.sendMessage({
+          action: 'analyzeBrunnels',
+          requestId,
+          payload: { routePoints, overpassData, options }
+        });
+      } catch (error) {
+        response = { unavailable: true, error: error.message };
+      }
+
+      if (requestId !== this._requestId || response?.cancelled) return null;
+
+      if (!response || response.unavailable) {
+        console.warn('Analysis worker unavailable, analyzing on the page:', response?.error);
+        return BrunnelCore.analyzeCandidates(route, overpassData, options);
+      }
+
+      if (response.error) {
+        throw new Error(response.error);
+      }
+
+      return response.result;
+    },
+
+    // Abandon any pending analysis and stop its worker
+    cancel() {
+      this._requestId++;
+      chrome.runtime.sendMessage({ action: 'cancelAnalysis' }).catch(() => {});
+    }
+  };
+
+  // ============================================================================
+  // Overlay Panel UI
+  // ============================================================================
+
+  function createPanel() {
+    if (panelElement) return panelElement;
+
+    const panel = document.createElement('div');
+    panel.className = 'bt-brunnels-panel hidden';
+    panel.innerHTML = `
+      <div class="bt-brunnels-header">
+        <span>Biketerra Brunnels</span>
+        <button class="bt-brunnels-close" title="Close">&times;</button>
+      </div>
+      <div class="bt-brunnels-body">
+        <div class="bt-brunnels-status">Ready. Click "Locate Brunnels" to find bridges and tunnels on this route.</div>
+        <div id="bt-routeSource" class="bt-route-source" style="display: none;"></div>
+
+        <div class="bt-brunnels-presets">
+          <div class="bt-preset-row">
+            <select id="bt-presetSelect" title="Load a preset"></select>
+            <button id="bt-presetSaveBtn" class="bt-brunnels-btn secondary compact" title="Save the current options as a preset">Save as...</button>
+          </div>
+          <div class="bt-preset-row">
+            <button id="bt-presetRenameBtn" class="bt-brunnels-btn secondary compact" disabled>Rename</button>
+            <button id="bt-presetDeleteBtn" class="bt-brunnels-btn secondary compact" disabled>Delete</button>
+            <button id="bt-presetExportBtn" class="bt-brunnels-btn secondary compact" title="Save all presets as a JSON file">Export</button>
+            <button id="bt-presetImportBtn" class="bt-brunnels-btn secondary compact" title="Add presets from a JSON file">Import</button>
+            <input type="file" id="bt-presetImportFile" accept=".json,application/json" hidden>
+          </div>
+          <label class="bt-brunnels-check">
+            <input type="checkbox" id="bt-routeOverride">
+            Use these options for this route only
+          </label>
+        </div>
+
+        <div class="bt-brunnels-options">
+          <div class="bt-option-row">
+            <label for="bt-queryBuffer">Query buffer (m)</label>
+            <input type="number" id="bt-queryBuffer" value="${OptionStore.DEFAULTS.queryBuffer}" min="5" max="50">
+          </div>
+          <div class="bt-option-row">
+            <label for="bt-routeBuffer">Route buffer (m)</label>
+            <input type="number" id="bt-routeBuffer" value="${OptionStore.DEFAULTS.routeBuffer}" min="1" max="20">
+          </div>
+          <div class="bt-option-row">
+            <label for="bt-bearingTolerance">Bearing tolerance</label>
+            <input type="number" id="bt-bearingTolerance" value="${OptionStore.DEFAULTS.bearingTolerance}" min="5" max="45">
+          </div>
+          <div class="bt-option-row">
+            <label for="bt-mergeGap">Merge gap (m)</label>
+            <input type="number" id="bt-mergeGap" value="${OptionStore.DEFAULTS.mergeGap}" min="0" max="50">
+          </div>
+          <div class="bt-option-row">
+            <label for="bt-verifyTolerance">Verify tolerance (m)</label>
+            <input type="number" id="bt-verifyTolerance" value="${DEFAULT_VERIFY_TOLERANCE}" min="1" max="100">
+          </div>
+          <div class="bt-option-row">
+            <label for="bt-padMeters" title="Added before the start and after the end of each brunnel when applying">Pad each brunnel (m)</label>
+            <input type="number" id="bt-padMeters" value="${OptionStore.DEFAULTS.padMeters}" min="0" max="50">
+          </div>
+          <div class="bt-option-row">
+            <label for="bt-showPadding" title="Distance shown either side of a brunnel by its Show button">Show padding (m)</label>
+            <input type="number" id="bt-showPadding" value="${OptionStore.DEFAULTS.showPadding}" min="0" max="1000">
+          </div>
+          <div class="bt-option-row">
+            <label for="bt-cacheTtl">Cache lifetime (h)</label>
+            <input type="number" id="bt-cacheTtl" value="${OverpassCache.DEFAULT_TTL_HOURS}" min="0" max="720">
+          </div>
+          <div class="bt-option-row">
+            <label for="bt-forceRefresh">Force refresh from OSM</label>
+            <input type="checkbox" id="bt-forceRefresh">
+          </div>
+          <div class="bt-option-row stacked">
+            <label for="bt-overpassEndpoints">Overpass endpoints (in order)</label>
+            <textarea id="bt-overpassEndpoints" rows="3" spellcheck="false">${OverpassAPI.DEFAULT_ENDPOINTS.join('\n')}</textarea>
+            <div id="bt-endpointAccess" class="bt-endpoint-access" style="display: none;">
+              <span>The extension can't reach these servers yet.</span>
+              <button id="bt-endpointAccessBtn" class="bt-brunnels-btn secondary compact">Allow</button>
+            </div>
+          </div>
+        </div>
+
+        <div class="bt-brunnels-actions">
+          <button id="bt-locateBtn" class="bt-brunnels-btn primary">Locate Brunnels</button>
+          <button id="bt-applyBtn" class="bt-brunnels-btn primary" disabled>Apply All to Route</button>
+          <label class="bt-brunnels-check">
+            <input type="checkbox" id="bt-applyPartial">
+            Apply All includes partial overlaps
+          </label>
+          <label class="bt-brunnels-check" title="Shade each located brunnel on the elevation chart where it would be applied">
+            <input type="checkbox" id="bt-chartPreview" checked>
+            Preview brunnels on the elevation chart
+          </label>
+          <label class="bt-brunnels-check" title="Clicking a result selects it instead of applying it">
+            <input type="checkbox" id="bt-reviewMode">
+            Review mode: select brunnels, then apply them together
+          </label>
+          <div class="bt-brunnels-export">
+            <button id="bt-exportGpxBtn" class="bt-brunnels-btn secondary compact" disabled>Export GPX</button>
+            <button id="bt-exportGeoJsonBtn" class="bt-brunnels-btn secondary compact" disabled
+              title="Route, all OSM candidates and query boxes, for debugging">Export GeoJSON</button>
+          </div>
+        </div>
+
+        <div id="bt-progress" class="bt-brunnels-progress" style="display: none;"></div>
+
+        <div class="bt-brunnels-selection">
+          <div class="bt-selection-buttons">
+            <span>Select</span>
+            <button id="bt-selectAllBtn" class="bt-brunnels-btn secondary compact">All</button>
+            <button id="bt-selectNoneBtn" class="bt-brunnels-btn secondary compact">None</button>
+            <button id="bt-selectBridgesBtn" class="bt-brunnels-btn secondary compact">Bridges</button>
+            <button id="bt-selectTunnelsBtn" class="bt-brunnels-btn secondary compact">Tunnels</button>
+          </div>
+          <button id="bt-applySelectedBtn" class="bt-brunnels-btn primary" disabled>Apply Selected</button>
+        </div>
+
+        <div id="bt-results" class="bt-brunnels-results"></div>
+
+        <details class="bt-brunnels-excluded" style="display: none;">
+          <summary>Excluded (<span id="bt-excludedCount">0</span>)</summary>
+          <div id="bt-excluded" class="bt-brunnels-results"></div>
+        </details>
+
+        <details class="bt-brunnels-journal" style="display: none;" open>
+          <summary>Applied by extension (<span id="bt-journalCount">0</span>)</summary>
+          <div class="bt-journal-actions">
+            <button id="bt-undoLastBtn" class="bt-brunnels-btn secondary compact">Undo last</button>
+            <button id="bt-undoRunBtn" class="bt-brunnels-btn secondary compact">Undo all from this run</button>
+          </div>
+          <div id="bt-journal" class="bt-brunnels-results"></div>
+        </details>
+
+        <div class="bt-brunnels-compat">
+          <button id="bt-compatBtn" class="bt-brunnels-btn secondary compact">Check compatibility</button>
+          <div id="bt-compatResults"></div>
+        </div>
+
+        <button id="bt-importPageBtn" class="bt-brunnels-btn secondary compact">Analyze a route file...</button>
+
+        <div class="bt-brunnels-cache">
+          <span id="bt-cacheInfo">Cache: ...</span>
+          <button id="bt-clearCacheBtn" class="bt-brunnels-btn secondary compact">Clear cache</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(panel);
+    panelElement = panel;
+    ChartOverlay.getBands = chartOverlayBands;
+
+    // Event listeners
+    panel.querySelector('.bt-brunnels-close').addEventListener('click', hidePanel);
+    panel.querySelector('#bt-locateBtn').addEventListener('click', handleLocateBrunnels);
+    panel.querySelector('#bt-applyBtn').addEventListener('click', handleApplyAllBrunnels);
+    panel.querySelector('#bt-applySelectedBtn').addEventListener('click', handleApplySelectedBrunnels);
+    panel.querySelector('#bt-chartPreview').addEventListener('change', () => {
+      ChartOverlay.refresh();
+      scheduleOptionSave();
+    });
+    panel.querySelector('#bt-reviewMode').addEventListener('change', () => {
+      updateReviewMode();
+      scheduleOptionSave();
+    });
+    panel.querySelector('#bt-selectAllBtn').addEventListener('click', () => selectBrunnels(() => true));
+    panel.querySelector('#bt-selectNoneBtn').addEventListener('click', () => selectBrunnels(() => false));
+    panel.querySelector('#bt-selectBridgesBtn').addEventListener('click', () => selectBrunnels(b => b.type === 'bridge'));
+    panel.querySelector('#bt-selectTunnelsBtn').addEventListener('click', () => selectBrunnels(b => b.type === 'tunnel'));
+    panel.querySelector('#bt-clearCacheBtn').addEventListener('click', handleClearCache);
+    panel.querySelector('#bt-compatBtn').addEventListener('click', handleCheckCompatibility);
+    panel.querySelector('#bt-importPageBtn').addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'openImportPage' });
+    });
+    panel.querySelector('#bt-exportGpxBtn').addEventListener('click', handleExportGpx);
+    panel.querySelector('#bt-exportGeoJsonBtn').addEventListener('click', handleExportGeoJson);
+    panel.querySelector('#bt-undoLastBtn').addEventListener('click', () => {
+      const entries = ApplyJournal.load(BiketerraIntegration.getRouteKey());
+      if (entries.length > 0) handleUndo([entries[entries.length - 1]]);
+    });
+    panel.querySelector('#bt-undoRunBtn').addEventListener('click', () => {
+      const entries = ApplyJournal.load(BiketerraIntegration.getRouteKey());
+      handleUndo(entries.filter(e => e.runId === currentRunId));
+    });
+    panel.querySelector('#bt-applyPartial').addEventListener('change', () => {
+      panel.querySelector('#bt-applyBtn').disabled = brunnelsToApply().length === 0;
+      scheduleOptionSave();
+    });
+    panel.querySelector('#bt-presetSelect').addEventListener('change', handleLoadPreset);
+    panel.querySelector('#bt-presetSaveBtn').addEventListener('click', handleSavePreset);
+    panel.querySelector('#bt-presetRenameBtn').addEventListener('click', handleRenamePreset);
+    panel.querySelector('#bt-presetDeleteBtn').addEventListener('click', handleDeletePreset);
+    panel.querySelector('#bt-presetExportBtn').addEventListener('click', handleExportPresets);
+    panel.querySelector('#bt-presetImportBtn').addEventListener('click', () => {
+      panel.querySelector('#bt-presetImportFile').click();
+    });
+    panel.querySelector('#bt-presetImportFile').addEventListener('change', handleImportPresets);
+    panel.querySelector('#bt-routeOverride').addEventListener('change', handleRouteOverrideChange);
+
+    // Filter options re-run the analysis on the fetched candidates; anything
+    // that changes what is downloaded re-enables the Locate button instead
+    const locateBtn = panel.querySelector('#bt-locateBtn');
+    for (const input of panel.querySelectorAll('.bt-brunnels-options input, .bt-brunnels-options textarea')) {
+      input.addEventListener('input', () => {
+        if (ANALYSIS_OPTION_IDS.includes(input.id) && fetchedCandidates) {
+          scheduleReanalysis();
+        } else if (!APPLY_OPTION_IDS.includes(input.id)) {
+          locateBtn.disabled = false;
+        }
+        if (input.id === 'bt-padMeters') refreshSpanPreviews();
+        if (input.id === 'bt-overpassEndpoints') scheduleEndpointAccessCheck();
+        if (input.id !== 'bt-forceRefresh') scheduleOptionSave();
+      });
+    }
+
+    panel.querySelector('#bt-endpointAccessBtn').addEventListener('click', handleAllowEndpoints);
+    // Access granted in the permissions tab shows up when the user comes back
+    window.addEventListener('focus', updateEndpointAccess);
+
+    // Drag functionality
+    const header = panel.querySelector('.bt-brunnels-header');
+    let isDragging = false;
+    let dragOffsetX = 0;
+    let dragOffsetY = 0;
+
+    header.addEventListener('mousedown', (e) => {
+      // Don't drag when clicking the close button
+      if (e.target.closest('.bt-brunnels-close')) return;
+
+      isDragging = true;
+      const rect = panel.getBoundingClientRect();
+      dragOffsetX = e.clientX - rect.left;
+      dragOffsetY = e.clientY - rect.top;
+
+      // Prevent text selection while dragging
+      e.preventDefault();
+    });
+
+    document.addEventListener('mousemove', (e) => {
+      if (!isDragging) return;
+
+      const x = e.clientX - dragOffsetX;
+      const y = e.clientY - dragOffsetY;
+
+      // Keep panel within viewport bounds
+      const maxX = window.innerWidth - panel.offsetWidth;
+      const maxY = window.innerHeight - panel.offsetHeight;
+
+      panel.style.left = Math.max(0, Math.min(x, maxX)) + 'px';
+      panel.style.top = Math.max(0, Math.min(y, maxY)) + 'px';
+      panel.style.right = 'auto';
+    });
+
+    document.addEventListener('mouseup', () => {
+      isDragging = false;
+    });
+
+    updateCacheInfo();
+    displayJournal();
+    loadStoredOptions();
+
+    return panel;
+  }
+
+  function showPanel() {
+    const panel = createPanel();
+    panel.classList.remove('hidden');
+    ChartOverlay.refresh();
+  }
+
+  function hidePanel() {
+    if (panelElement) {
+      panelElement.classList.add('hidden');
+    }
+    ChartOverlay.refresh();
+  }
+
+  function togglePanel() {
+    const panel = createPanel();
+    panel.classList.toggle('hidden');
+    ChartOverlay.refresh();
+  }
+
+  function showRouteSource(routeState) {
+    const el = panelElement?.querySelector('#bt-routeSource');
+    if (!el) return;
+
+    el.style.display = '';
+    if (routeState.source === 'page') {
+      const time = new Date(routeState.capturedAt).toLocaleTimeString();
+      // Only a route the editor itself sent out can hold edits; a response,
+      // such as the __data.json from page load, is what the server has
+      if (routeState.routeKey === 'editableRoute' && routeState.direction === 'request') {
+        el.textContent = `Route source: editor's edited route (sent at ${time}, includes unsaved changes)`;
+      } else {
+        const { pathname } = new URL(routeState.url, window.location.href);
+        el.textContent = `Route source: editor's ${pathname} ${routeState.direction} (at ${time})`;
+      }
+    } else {
+      el.textContent = 'Route source: saved route on Biketerra';
+    }
+  }
+
+  function updateStatus(text, type = '') {
+    const status = panelElement?.querySelector('.bt-brunnels-status');
+    if (status) {
+      status.textContent = text;
+      status.className = 'bt-brunnels-status' + (type ? ' ' + type : '');
+    }
+  }
+
+  function showProgress(text) {
+    const progress = panelElement?.querySelector('#bt-progress');
+    if (progress) {
+      progress.textContent = text;
+      progress.style.display = 'block';
+    }
+  }
+
+  function hideProgress() {
+    const progress = panelElement?.querySelector('#bt-progress');
+    if (progress) {
+      progress.style.display = 'none';
+    }
+  }
+
+  function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  async function updateCacheInfo() {
+    const info = panelElement?.querySelector('#bt-cacheInfo');
+    if (!info) return;
+
+    const { entries, bytes } = await OverpassCache.stats();
+    info.textContent = `Cache: ${entries} tile(s), ${formatBytes(bytes)}`;
+  }
+
+  async function handleClearCache() {
+    try {
+      await OverpassCache.clear();
+      updateStatus('Cleared cached OpenStreetMap data.', 'success');
+    } catch (error) {
+      updateStatus(`Error: ${error.message}`, 'error');
+    }
+    await updateCacheInfo();
+  }
+
+  // Save text as a file without leaving the page
+  function downloadFile(filename, text, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  function exportBaseName() {
+    return `biketerra-${BiketerraIntegration.getRouteKey()}-brunnels`;
+  }
+
+  function handleExportGpx() {
+    if (!fetchedCandidates) return;
+
+    const gpx = RouteExport.toGpx(fetchedCandidates.route, locatedBrunnels, {
+      name: document.title || `Biketerra route ${BiketerraIntegration.getRouteKey()}`
+    });
+    downloadFile(`${exportBaseName()}.gpx`, gpx, 'application/gpx+xml');
+    updateStatus(`Exported the route with ${locatedBrunnels.length} brunnel(s) as GPX.`, 'success');
+  }
+
+  function handleExportGeoJson() {
+    if (!fetchedCandidates) return;
+
+    const { route, overpassData, queryBounds } = fetchedCandidates;
+    const geojson = RouteExport.toGeoJson(route, overpassData, analysisCandidates, queryBounds);
+    downloadFile(`${exportBaseName()}.geojson`, JSON.stringify(geojson, null, 2), 'application/geo+json');
+
+    const candidateCount = overpassData.bridges.length + overpassData.tunnels.length;
+    updateStatus(`Exported the route and ${candidateCount} OSM candidate(s) as GeoJSON.`, 'success');
+  }
+
+  function handleCheckCompatibility() {
+    const list = panelElement?.querySelector('#bt-compatResults');
+    if (!list) return;
+
+    const results = BiketerraSelectors.check();
+    list.innerHTML = results.map(r => {
+      const state = r.unverified ? 'missing' : r.found ? 'found' : (r.required ? 'missing' : 'optional');
+      let detail = !r.found ? (r.required ? 'missing' : 'not found (optional)')
+        : r.candidate > 0 ? `found via fallback ${r.candidate}` : 'found';
+      if (r.unverified) detail += '; selector not verified against the live editor';
+      return `<div class="bt-compat-item ${state}">${escapeHtml(r.description)}: ${detail}</div>`;
+    }).join('');
+
+    const missing = results.filter(r => r.required && !r.found);
+    const unverified = results.filter(r => r.unverified);
+    if (missing.length > 0) {
+      updateStatus(`Incompatible with this page (selectors v${BiketerraSelectors.VERSION}): ${missing.length} required element(s) missing.`, 'error');
+    } else if (unverified.length > 0) {
+      updateStatus(
+        `Required Biketerra elements found (selectors v${BiketerraSelectors.VERSION}), but ` +
+        `${unverified.map(r => r.description).join(', ')} can't be confirmed; ` +
+        'reading existing and applied brunnels from the chart may be wrong.',
+        'error'
+      );
+    } else {
+      updateStatus(`All required Biketerra elements found (selectors v${BiketerraSelectors.VERSION}).`, 'success');
+    }
+  }
+
+  const EXCLUSION_LABELS = {
+    outlier: 'Too far from route',
+    misaligned: 'Misaligned',
+    alternative: 'Overlaps a closer brunnel'
+  };
+
+  const EXISTING_LABELS = {
+    present: 'Already on route',
+    partial: 'Partially overlaps an existing brunnel'
+  };
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // " · pass 2 of 3" for brunnels the route crosses more than once
+  function passLabel(brunnel) {
+    return brunnel.passCount > 1 ? ` · pass ${brunnel.pass} of ${brunnel.passCount}` : '';
+  }
+
+  const TERRAIN_FLAGS = {
+    unnecessary: 'Likely unnecessary: the elevation data is already flat here',
+    'high-impact': 'High impact'
+  };
+
+  const TERRAIN_TITLE = 'Route elevation against a straight deck between the span ends, ' +
+    'and the grade change entering and leaving it';
+
+  // Terrain line for a result row (see BrunnelAnalysis.terrainDiagnostics)
+  function terrainLabel(terrain) {
+    if (!terrain) return '';
+
+    let relief = 'no route points under the span';
+    if (terrain.dipMeters !== null) relief = `dip ${terrain.dipMeters.toFixed(1)} m`;
+    else if (terrain.humpMeters !== null) relief = `hump ${terrain.humpMeters.toFixed(1)} m`;
+    const grade = value => value === null ? 'n/a' : `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+    const flag = TERRAIN_FLAGS[terrain.flag] ? `${TERRAIN_FLAGS[terrain.flag]} · ` : '';
+
+    return `<div class="bt-brunnel-terrain ${terrain.flag || ''}" title="${TERRAIN_TITLE}">` +
+      `${flag}${relief} · grade change ${grade(terrain.startGradeChange)} / ${grade(terrain.endGradeChange)}</div>`;
+  }
+
+  function displayExcluded(excluded) {
+    const section = panelElement?.querySelector('.bt-brunnels-excluded');
+    const list = panelElement?.querySelector('#bt-excluded');
+    if (!section || !list) return;
+
+    list.innerHTML = '';
+    section.style.display = excluded.length > 0 ? '' : 'none';
+    panelElement.querySelector('#bt-excludedCount').textContent = excluded.length;
+
+    // Candidates nearest the route first; those are the likeliest false negatives
+    const sorted = [...excluded].sort((a, b) => a.maxDistance - b.maxDistance);
+
+    for (const candidate of sorted) {
+      const item = document.createElement('div');
+      item.className = `bt-excluded-item ${candidate.type}`;
+
+      const bearing = candidate.bearingDifference === null
+        ? 'n/a'
+        : `${candidate.bearingDifference.toFixed(0)}°`;
+      const span = candidate.startDistance === null
+        ? ''
+        : ` · ${candidate.startDistance.toFixed(2)} km`;
+
+      const icon = candidate.type === 'bridge' ? BRIDGE_ICON : TUNNEL_ICON;
+      item.innerHTML = `
+        ${icon}
+        <div class="bt-brunnel-info">
+          <div class="bt-brunnel-name">${escapeHtml(candidate.name)}</div>
+          <div class="bt-brunnel-span">
+            <a href="https://www.openstreetmap.org/way/${candidate.osmId}" target="_blank" rel="noopener">way ${candidate.osmId}</a>${span}${passLabel(candidate)}
+          </div>
+          <div class="bt-excluded-reason">
+            ${EXCLUSION_LABELS[candidate.reason] || candidate.reason} ·
+            max ${candidate.maxDistance.toFixed(1)} m · bearing ${bearing}
+          </div>
+        </div>
+        <button class="bt-brunnels-btn secondary compact" title="Add to the located brunnels">Include anyway</button>
+      `;
+
+      const includeBtn = item.querySelector('button');
+      includeBtn.disabled = candidate.startDistance === null;
+      includeBtn.addEventListener('click', () => handleIncludeAnyway(candidate));
+      list.appendChild(item);
+    }
+  }
+
+  async function handleIncludeAnyway(candidate) {
+    if (!fetchedCandidates) return;
+
+    forcedBrunnelIds.add(candidate.id);
+    try {
+      if (!await showAnalysis(readPanelOptions())) return;
+      updateStatus(`Included ${candidate.name} (way ${candidate.osmId}) manually.`, 'success');
+    } catch (error) {
+      updateStatus(`Error: ${error.message}`, 'error');
+    }
+  }
+
+  function displayResults(brunnels, distance) {
+    const resultsDiv = panelElement?.querySelector('#bt-results');
+    if (!resultsDiv) return;
+
+    resultsDiv.innerHTML = '';
+    ChartOverlay.refresh();
+
+    if (brunnels.length === 0) {
+      resultsDiv.innerHTML = '<p class="bt-empty-message">No brunnels found on this route.</p>';
+      return;
+    }
+
+    // Sort by start distance
+    const sorted = [...brunnels].sort((a, b) => a.startDistance - b.startDistance);
+
+    for (const brunnel of sorted) {
+      const item = document.createElement('div');
+      item.className = `bt-brunnel-item ${brunnel.type}`;
+      if (brunnel.existingStatus && brunnel.existingStatus !== 'new') {
+        item.classList.add(`existing-${brunnel.existingStatus}`);
+      }
+      item.dataset.id = brunnel.id;
+
+      const startKm = brunnel.startDistance.toFixed(2);
+      const endKm = brunnel.endDistance.toFixed(2);
+      const lengthM = ((brunnel.endDistance - brunnel.startDistance) * 1000).toFixed(0);
+
+      const icon = brunnel.type === 'bridge' ? BRIDGE_ICON : TUNNEL_ICON;
+      item.innerHTML = `
+        <input type="checkbox" class="bt-brunnel-select" title="Select for Apply Selected (shift-click for a range)">
+        ${icon}
+        <div class="bt-brunnel-info">
+          <div class="bt-brunnel-name">${escapeHtml(brunnel.name)}</div>
+          <div class="bt-brunnel-span">${startKm} - ${endKm} km (${lengthM}m)${passLabel(brunnel)}${brunnel.forced ? ' · included manually' : ''}</div>
+          ${EXISTING_LABELS[brunnel.existingStatus] ? `<div class="bt-brunnel-existing">${EXISTING_LABELS[brunnel.existingStatus]}</div>` : ''}
+          ${terrainLabel(brunnel.terrain)}
+          <div class="bt-brunnel-adjusted"></div>
+          <div class="bt-brunnel-verify"></div>
+          ${SPAN_EDITOR_HTML}
+        </div>
+        <div class="bt-brunnel-actions">
+          <button class="bt-brunnel-action bt-brunnel-show" title="Zoom the chart and map to this brunnel without applying it">Show</button>
+          <button class="bt-brunnel-action bt-brunnel-edit" title="Edit the span before applying">Edit</button>
+        </div>
+      `;
+
+      // In review mode a click selects the row instead of applying it
+      item.addEventListener('click', (event) => {
+        if (isReviewMode()) {
+          toggleSelection(brunnel, !selectedBrunnelIds.has(brunnel.id), event.shiftKey);
+        } else {
+          handleApplySingleBrunnel(brunnel, item);
+        }
+      });
+      item.querySelector('.bt-brunnel-select').addEventListener('click', (event) => {
+        event.stopPropagation();
+        toggleSelection(brunnel, event.target.checked, event.shiftKey);
+      });
+      item.querySelector('.bt-brunnel-show').addEventListener('click', (event) => {
+        event.stopPropagation();
+        handleShowBrunnel(brunnel);
+      });
+      item.addEventListener('mouseenter', () => ChartOverlay.highlight(brunnel.id));
+      item.addEventListener('mouseleave', () => ChartOverlay.highlight(null));
+      setupSpanEditor(brunnel, item);
+      resultsDiv.appendChild(item);
+    }
+  }
+
+  // Bands for the chart preview: each located brunnel where it would be
+  // applied, after edits and padding. None while the panel is hidden
+  function chartOverlayBands() {
+    if (!panelElement || panelElement.classList.contains('hidden')) return [];
+    if (!panelElement.querySelector('#bt-chartPreview')?.checked) return [];
+
+    return locatedBrunnels.map(brunnel => ({
+      ...(spanToApply(brunnel) || brunnel),
+      applied: appliedBrunnelIds.has(brunnel.id)
+    }));
+  }
+
+  // ============================================================================
+  // Span Editing
+  // ============================================================================
+
+  const NUDGE_STEPS_METERS = [-5, -1, 1, 5];
+
+  const SPAN_EDITOR_HTML = `
+    <div class="bt-span-editor" hidden>
+      ${['start', 'end'].map(end => `
+        <div class="bt-span-edit-row" data-end="${end}">
+          <label>${end === 'start' ? 'Start' : 'End'} (km)</label>
+          ${NUDGE_STEPS_METERS.filter(step => step < 0).map(step =>
+            `<button class="bt-span-nudge" data-step="${step}" title="${-step} m back">${step}</button>`).join('')}
+          <input type="number" step="0.001" min="0">
+          ${NUDGE_STEPS_METERS.filter(step => step > 0).map(step =>
+            `<button class="bt-span-nudge" data-step="${step}" title="${step} m forward">+${step}</button>`).join('')}
+        </div>
+      `).join('')}
+      <button class="bt-brunnels-btn secondary compact bt-span-reset">Reset</button>
+    </div>
+  `;
+
+  function readPadMeters() {
+    return readNumberOption('bt-padMeters', OptionStore.DEFAULTS.padMeters);
+  }
+
+  // How far padding may widen a brunnel: to the route ends, or halfway to
+  // the nearest located brunnel on either side, so an adjoining bridge and
+  // tunnel are never padded into each other
+  function paddingLimits(brunnel) {
+    let minDistance = 0;
+    let maxDistance = totalDistance || Infinity;
+
+    for (const other of locatedBrunnels) {
+      if (other.id === brunnel.id) continue;
+      if (other.endDistance <= brunnel.startDistance) {
+        minDistance = Math.max(minDistance, (other.endDistance + brunnel.startDistance) / 2);
+      } else if (other.startDistance >= brunnel.endDistance) {
+        maxDistance = Math.min(maxDistance, (brunnel.endDistance + other.startDistance) / 2);
+      }
+    }
+    return { minDistance, maxDistance };
+  }
+
+  // The brunnel as it will be applied: the located span moved by the row's
+  // edits and widened by the padding option. Null if the edits leave no span
+  function spanToApply(brunnel) {
+    const edit = spanEdits.get(brunnel.id) || {};
+    const span = BrunnelAnalysis.adjustSpan(brunnel, {
+      startOffsetMeters: edit.startOffsetMeters,
+      endOffsetMeters: edit.endOffsetMeters,
+      padMeters: readPadMeters(),
+      ...paddingLimits(brunnel)
+    });
+    return span && { ...brunnel, ...span };
+  }
+
+  // Spans to apply for several brunnels; throws naming any left empty by edits
+  function spansToApply(brunnels) {
+    const spans = brunnels.map(spanToApply);
+    const empty = brunnels.filter((brunnel, i) => !spans[i]);
+    if (empty.length > 0) {
+      throw new Error(`The edited span of ${empty.map(b => b.name).join(', ')} ends before it starts`);
+    }
+    return spans;
+  }
+
+  function setupSpanEditor(brunnel, item) {
+    const editor = item.querySelector('.bt-span-editor');
+
+    item.querySelector('.bt-brunnel-edit').addEventListener('click', (event) => {
+      event.stopPropagation();
+      editor.hidden = !editor.hidden;
+      item.classList.toggle('editing', !editor.hidden);
+    });
+    // Editing must not apply the brunnel through the row's click handler
+    editor.addEventListener('click', event => event.stopPropagation());
+
+    for (const row of editor.querySelectorAll('.bt-span-edit-row')) {
+      const key = row.dataset.end === 'start' ? 'startOffsetMeters' : 'endOffsetMeters';
+      const located = row.dataset.end === 'start' ? brunnel.startDistance : brunnel.endDistance;
+
+      for (const button of row.querySelectorAll('.bt-span-nudge')) {
+        button.addEventListener('click', () => {
+          editSpan(brunnel, key, (spanEdits.get(brunnel.id)?.[key] || 0) + Number(button.dataset.step));
+          updateSpanEditor(brunnel, item);
+        });
+      }
+
+      row.querySelector('input').addEventListener('change', (event) => {
+        const km = parseFloat(event.target.value);
+        if (!isNaN(km)) editSpan(brunnel, key, Math.round((km - located) * 1e6) / 1e3);
+        updateSpanEditor(brunnel, item);
+      });
+    }
+
+    editor.querySelector('.bt-span-reset').addEventListener('click', () => {
+      spanEdits.delete(brunnel.id);
+      updateSpanEditor(brunnel, item);
+    });
+
+    updateSpanEditor(brunnel, item);
+  }
+
+  function editSpan(brunnel, key, offsetMeters) {
+    const edit = { startOffsetMeters: 0, endOffsetMeters: 0, ...spanEdits.get(brunnel.id), [key]: offsetMeters };
+    if (edit.startOffsetMeters === 0 && edit.endOffsetMeters === 0) {
+      spanEdits.delete(brunnel.id);
+    } else {
+      spanEdits.set(brunnel.id, edit);
+    }
+  }
+
+  // Fill the editor inputs and show the span that will be applied, when it
+  // differs from the located one
+  function updateSpanEditor(brunnel, item) {
+    const edit = spanEdits.get(brunnel.id) || { startOffsetMeters: 0, endOffsetMeters: 0 };
+    const inputs = item.querySelectorAll('.bt-span-edit-row input');
+    inputs[0].value = (brunnel.startDistance + edit.startOffsetMeters / 1000).toFixed(3);
+    inputs[1].value = (brunnel.endDistance + edit.endOffsetMeters / 1000).toFixed(3);
+    item.querySelector('.bt-span-reset').disabled = !spanEdits.has(brunnel.id);
+    updateSpanPreview(brunnel, item);
+  }
+
+  function updateSpanPreview(brunnel, item) {
+    const preview = item.querySelector('.bt-brunnel-adjusted');
+    const padMeters = readPadMeters();
+    const span = spanToApply(brunnel);
+
+    preview.classList.toggle('invalid', !span);
+    ChartOverlay.refresh();
+    if (!span) {
+      preview.textContent = 'Edited span ends before it starts';
+      return;
+    }
+    if (!spanEdits.has(brunnel.id) && padMeters === 0) {
+      preview.textContent = '';
+      return;
+    }
+
+    const lengthM = ((span.endDistance - span.startDistance) * 1000).toFixed(0);
+    const parts = [];
+    if (spanEdits.has(brunnel.id)) parts.push('edited');
+    if (padMeters > 0) parts.push(`padded ${padMeters} m`);
+    preview.textContent = `Applies ${span.startDistance.toFixed(3)} - ${span.endDistance.toFixed(3)} km ` +
+      `(${lengthM}m, ${parts.join(', ')})`;
+  }
+
+  function refreshSpanPreviews() {
+    for (const brunnel of locatedBrunnels) {
+      const item = panelElement?.querySelector(`.bt-brunnel-item[data-id="${brunnel.id}"]`);
+      if (item) updateSpanPreview(brunnel, item);
+    }
+  }
+
+  // ============================================================================
+  // Review Mode Selection
+  // ============================================================================
+
+  function isReviewMode() {
+    return panelElement?.querySelector('#bt-reviewMode')?.checked || false;
+  }
+
+  function updateReviewMode() {
+    panelElement?.classList.toggle('review-mode', isReviewMode());
+  }
+
+  // Brunnels in the order the results list shows them
+  function listedBrunnels() {
+    return [...locatedBrunnels].sort((a, b) => a.startDistance - b.startDistance);
+  }
+
+  // Applied brunnels can't be selected: applying them again would toggle
+  // them off in Biketerra
+  function isSelectable(brunnel) {
+    return !appliedBrunnelIds.has(brunnel.id);
+  }
+
+  // Select or deselect a row; with extendRange, every row between it and
+  // the last row clicked too
+  function toggleSelection(brunnel, selected, extendRange = false) {
+    if (!isSelectable(brunnel)) return;
+
+    const listed = listedBrunnels();
+    let range = [brunnel];
+    const anchor = listed.findIndex(b => b.id === lastSelectedId);
+    if (extendRange && anchor !== -1) {
+      const index = listed.findIndex(b => b.id === brunnel.id);
+      range = listed.slice(Math.min(anchor, index), Math.max(anchor, index) + 1);
+    }
+
+    for (const b of range.filter(isSelectable)) {
+      if (selected) {
+        selectedBrunnelIds.add(b.id);
+      } else {
+        selectedBrunnelIds.delete(b.id);
+      }
+    }
+    lastSelectedId = brunnel.id;
+    updateSelection();
+  }
+
+  // Replace the selection with every selectable brunnel matching the predicate
+  function selectBrunnels(predicate) {
+    selectedBrunnelIds = new Set(locatedBrunnels.filter(b => isSelectable(b) && predicate(b)).map(b => b.id));
+    lastSelectedId = null;
+    updateSelection();
+  }
+
+  function selectedBrunnels() {
+    return listedBrunnels().filter(b => selectedBrunnelIds.has(b.id) && isSelectable(b));
+  }
+
+  // Sync the row checkboxes and the Apply Selected button with the selection
+  function updateSelection() {
+    for (const id of [...selectedBrunnelIds]) {
+      const brunnel = locatedBrunnels.find(b => b.id === id);
+      if (!brunnel || !isSelectable(brunnel)) selectedBrunnelIds.delete(id);
+    }
+
+    for (const brunnel of locatedBrunnels) {
+      const item = panelElement?.querySelector(`.bt-brunnel-item[data-id="${brunnel.id}"]`);
+      const checkbox = item?.querySelector('.bt-brunnel-select');
+      if (!checkbox) continue;
+      checkbox.checked = selectedBrunnelIds.has(brunnel.id);
+      checkbox.disabled = !isSelectable(brunnel);
+      item.classList.toggle('selected', checkbox.checked);
+    }
+
+    ChartOverlay.refresh();
+
+    const button = panelElement?.querySelector('#bt-applySelectedBtn');
+    if (button) {
+      const count = selectedBrunnelIds.size;
+      button.disabled = count === 0;
+      button.textContent = count > 0 ? `Apply Selected (${count})` : 'Apply Selected';
+    }
+  }
+
+  // Options that only affect the analysis stage, not what is downloaded
+  const ANALYSIS_OPTION_IDS = ['bt-routeBuffer', 'bt-bearingTolerance', 'bt-mergeGap'];
+
+  // Options that only affect applying, which need neither a new search nor analysis
+  const APPLY_OPTION_IDS = ['bt-verifyTolerance', 'bt-padMeters', 'bt-showPadding'];
+
+  const DEFAULT_VERIFY_TOLERANCE = OptionStore.DEFAULTS.verifyTolerance; // meters
+  const REANALYZE_DELAY_MS = 300;
+
+  // Read a numeric option, falling back to the default when empty or invalid
+  // (0 is a valid value for some options, so this doesn't use ||)
+  function readNumberOption(id, defaultValue) {
+    const value = parseFloat(panelElement?.querySelector(`#${id}`)?.value);
+    return isNaN(value) ? defaultValue : value;
+  }
+
+  function readPanelOptions() {
+    const defaults = OptionStore.DEFAULTS;
+    return {
+      queryBuffer: parseInt(panelElement?.querySelector('#bt-queryBuffer')?.value) || defaults.queryBuffer,
+      routeBuffer: parseInt(panelElement?.querySelector('#bt-routeBuffer')?.value) || defaults.routeBuffer,
+      bearingTolerance: parseInt(panelElement?.querySelector('#bt-bearingTolerance')?.value) || defaults.bearingTolerance,
+      mergeGap: readNumberOption('bt-mergeGap', defaults.mergeGap),
+      endpoints: OverpassAPI.parseEndpoints(panelElement?.querySelector('#bt-overpassEndpoints')?.value),
+      cacheTtlHours: readNumberOption('bt-cacheTtl', OverpassCache.DEFAULT_TTL_HOURS),
+      forceRefresh: panelElement?.querySelector('#bt-forceRefresh')?.checked || false
+    };
+  }
+
+  // ============================================================================
+  // Saved Options and Presets (js/option-store.js)
+  // ============================================================================
+
+  // Panel input for each saved option
+  const PANEL_OPTION_INPUTS = {
+    queryBuffer: 'bt-queryBuffer',
+    routeBuffer: 'bt-routeBuffer',
+    bearingTolerance: 'bt-bearingTolerance',
+    mergeGap: 'bt-mergeGap',
+    verifyTolerance: 'bt-verifyTolerance',
+    padMeters: 'bt-padMeters',
+    showPadding: 'bt-showPadding',
+    cacheTtlHours: 'bt-cacheTtl',
+    endpoints: 'bt-overpassEndpoints',
+    applyPartial: 'bt-applyPartial',
+    chartPreview: 'bt-chartPreview',
+    reviewMode: 'bt-reviewMode'
+  };
+
+  const OPTION_SAVE_DELAY_MS = 500;
+  let optionSaveTimer = null;
+
+  // The saved options as currently shown in the panel
+  function readStoredOptions() {
+    const options = {};
+    for (const [key, id] of Object.entries(PANEL_OPTION_INPUTS)) {
+      const input = panelElement?.querySelector(`#${id}`);
+      if (!input) continue;
+
+      if (key === 'endpoints') {
+        const endpoints = OverpassAPI.parseEndpoints(input.value);
+        const isDefault = endpoints.join('\n') === OverpassAPI.DEFAULT_ENDPOINTS.join('\n');
+        options.endpoints = isDefault ? null : endpoints;
+      } else if (input.type === 'checkbox') {
+        options[key] = input.checked;
+      } else {
+        options[key] = readNumberOption(id, OptionStore.DEFAULTS[key]);
+      }
+    }
+    return options;
+  }
+
+  function fillPanelOptions(options) {
+    for (const [key, id] of Object.entries(PANEL_OPTION_INPUTS)) {
+      const input = panelElement?.querySelector(`#${id}`);
+      if (!input || !(key in options)) continue;
+
+      if (key === 'endpoints') {
+        input.value = (options.endpoints || OverpassAPI.DEFAULT_ENDPOINTS).join('\n');
+      } else if (input.type === 'checkbox') {
+        input.checked = options[key];
+      } else {
+        input.value = options[key];
+      }
+    }
+    // Setting an input from code fires no change event
+    updateReviewMode();
+    updateEndpointAccess();
+    ChartOverlay.refresh();
+  }
+
+  // Show newly loaded options and bring the results in line with them
+  function applyLoadedOptions(options) {
+    fillPanelOptions(options);
+
+    const locateBtn = panelElement?.querySelector('#bt-locateBtn');
+    if (locateBtn) locateBtn.disabled = false;
+    if (fetchedCandidates) scheduleReanalysis();
+  }
+
+  async function loadStoredOptions() {
+    const routeId = BiketerraIntegration.getRouteId();
+    const overrideBox = panelElement?.querySelector('#bt-routeOverride');
+    if (overrideBox) {
+      overrideBox.disabled = !routeId;
+      overrideBox.parentElement.title = routeId ? '' : 'Save the route first to keep options for it';
+    }
 
-        <div id="bt-progress" class="bt-brunnels-progress" style="display: none;"></div>
+    try {
+      const { options, override } = await OptionStore.load(routeId);
+      fillPanelOptions(options);
+      if (overrideBox) overrideBox.checked = override !== null;
+      await displayPresets();
+    } catch (error) {
+      console.warn('Could not load saved options:', error);
+    }
+  }
 
-        <div id="bt-results" class="bt-brunnels-results"></div>
-      </div>
-    `;
+  // Saves to the route's override when it has one, otherwise globally
+  async function saveOptionsNow() {
+    const routeId = BiketerraIntegration.getRouteId();
+    const options = readStoredOptions();
+    try {
+      if (routeId && panelElement?.querySelector('#bt-routeOverride')?.checked) {
+        await OptionStore.saveRouteOverride(routeId, options);
+      } else {
+        await OptionStore.save(options);
+      }
+    } catch (error) {
+      updateStatus(`Error: Could not save options: ${error.message}`, 'error');
+    }
+  }
 
-    document.body.appendChild(panel);
-    panelElement = panel;
+  function scheduleOptionSave() {
+    clearTimeout(optionSaveTimer);
+    optionSaveTimer = setTimeout(saveOptionsNow, OPTION_SAVE_DELAY_MS);
+  }
 
-    // Event listeners
-    panel.querySelector('.bt-brunnels-close').addEventListener('click', hidePanel);
-    panel.querySelector('#bt-locateBtn').addEventListener('click', handleLocateBrunnels);
-    panel.querySelector('#bt-applyBtn').addEventListener('click', handleApplyAllBrunnels);
+  async function handleRouteOverrideChange(event) {
+    const routeId = BiketerraIntegration.getRouteId();
+    if (!routeId) return;
 
-    // Re-enable Locate button when options change
-    const locateBtn = panel.querySelector('#bt-locateBtn');
-    for (const input of panel.querySelectorAll('.bt-brunnels-options input')) {
-      input.addEventListener('input', () => {
-        locateBtn.disabled = false;
-      });
+    clearTimeout(optionSaveTimer);
+    try {
+      if (event.target.checked) {
+        await OptionStore.saveRouteOverride(routeId, readStoredOptions());
+        updateStatus('Options are now kept separately for this route.', 'success');
+      } else {
+        await OptionStore.clearRouteOverride(routeId);
+        const { options } = await OptionStore.load(routeId);
+        applyLoadedOptions(options);
+        updateStatus('This route now uses your saved options.', 'success');
+      }
+    } catch (error) {
+      updateStatus(`Error: ${error.message}`, 'error');
     }
+  }
 
-    // Drag functionality
-    const header = panel.querySelector('.bt-brunnels-header');
-    let isDragging = false;
-    let dragOffsetX = 0;
-    let dragOffsetY = 0;
-
-    header.addEventListener('mousedown', (e) => {
-      // Don't drag when clicking the close button
-      if (e.target.closest('.bt-brunnels-close')) return;
+  async function displayPresets(selected = '') {
+    const select = panelElement?.querySelector('#bt-presetSelect');
+    if (!select) return;
 
-      isDragging = true;
-      const rect = panel.getBoundingClientRect();
-      dragOffsetX = e.clientX - rect.left;
-      dragOffsetY = e.clientY - rect.top;
+    const presets = await OptionStore.listPresets();
+    select.innerHTML = '<option value="">Presets...</option>' + Object.keys(presets)
+      .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+      .join('');
+    select.value = selected in presets ? selected : '';
+    updatePresetButtons();
+  }
 
-      // Prevent text selection while dragging
-      e.preventDefault();
-    });
+  function updatePresetButtons() {
+    const selected = panelElement?.querySelector('#bt-presetSelect')?.value;
+    panelElement.querySelector('#bt-presetRenameBtn').disabled = !selected;
+    panelElement.querySelector('#bt-presetDeleteBtn').disabled = !selected;
+  }
 
-    document.addEventListener('mousemove', (e) => {
-      if (!isDragging) return;
+  async function handleLoadPreset(event) {
+    const name = event.target.value;
+    updatePresetButtons();
+    if (!name) return;
 
-      const x = e.clientX - dragOffsetX;
-      const y = e.clientY - dragOffsetY;
+    try {
+      const presets = await OptionStore.listPresets();
+      if (!presets[name]) return;
+      applyLoadedOptions(presets[name]);
+      await saveOptionsNow();
+      updateStatus(`Loaded preset "${name}".`, 'success');
+    } catch (error) {
+      updateStatus(`Error: ${error.message}`, 'error');
+    }
+  }
 
-      // Keep panel within viewport bounds
-      const maxX = window.innerWidth - panel.offsetWidth;
-      const maxY = window.innerHeight - panel.offsetHeight;
+  async function handleSavePreset() {
+    const current = panelElement.querySelector('#bt-presetSelect').value;
+    const name = window.prompt('Save the current search options as a preset named:', current);
+    if (name === null) return;
 
-      panel.style.left = Math.max(0, Math.min(x, maxX)) + 'px';
-      panel.style.top = Math.max(0, Math.min(y, maxY)) + 'px';
-      panel.style.right = 'auto';
-    });
+    try {
+      const saved = await OptionStore.savePreset(name, readStoredOptions());
+      await displayPresets(saved);
+      updateStatus(`Saved preset "${saved}".`, 'success');
+    } catch (error) {
+      updateStatus(`Error: ${error.message}`, 'error');
+    }
+  }
 
-    document.addEventListener('mouseup', () => {
-      isDragging = false;
-    });
+  async function handleRenamePreset() {
+    const oldName = panelElement.querySelector('#bt-presetSelect').value;
+    if (!oldName) return;
+    const newName = window.prompt(`Rename preset "${oldName}" to:`, oldName);
+    if (newName === null) return;
 
-    return panel;
+    try {
+      const renamed = await OptionStore.renamePreset(oldName, newName);
+      await displayPresets(renamed);
+      updateStatus(`Renamed preset "${oldName}" to "${renamed}".`, 'success');
+    } catch (error) {
+      updateStatus(`Error: ${error.message}`, 'error');
+    }
   }
 
-  function showPanel() {
-    const panel = createPanel();
-    panel.classList.remove('hidden');
+  async function handleDeletePreset() {
+    const name = panelElement.querySelector('#bt-presetSelect').value;
+    if (!name || !window.confirm(`Delete preset "${name}"?`)) return;
+
+    try {
+      await OptionStore.deletePreset(name);
+      await displayPresets();
+      updateStatus(`Deleted preset "${name}".`, 'success');
+    } catch (error) {
+      updateStatus(`Error: ${error.message}`, 'error');
+    }
   }
 
-  function hidePanel() {
-    if (panelElement) {
-      panelElement.classList.add('hidden');
+  async function handleExportPresets() {
+    try {
+      const presets = await OptionStore.listPresets();
+      downloadFile('bt-brunnels-presets.json', OptionStore.exportPresets(presets), 'application/json');
+      updateStatus(`Exported ${Object.keys(presets).length} preset(s).`, 'success');
+    } catch (error) {
+      updateStatus(`Error: ${error.message}`, 'error');
     }
   }
 
-  function togglePanel() {
-    const panel = createPanel();
-    panel.classList.toggle('hidden');
+  async function handleImportPresets(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const names = await OptionStore.importPresets(await file.text());
+      await displayPresets(names[0]);
+      updateStatus(`Imported ${names.length} preset(s): ${names.join(', ')}.`, 'success');
+    } catch (error) {
+      updateStatus(`Error: ${error.message}`, 'error');
+    }
   }
 
-  function updateStatus(text, type = '') {
-    const status = panelElement?.querySelector('.bt-brunnels-status');
-    if (status) {
-      status.textContent = text;
-      status.className = 'bt-brunnels-status' + (type ? ' ' + type : '');
+  // Run the analysis stage on the fetched candidates and refresh the results list
+  // Returns false if the analysis was superseded by a newer one
+  async function showAnalysis(options) {
+    const applyBtn = panelElement?.querySelector('#bt-applyBtn');
+    const { routePoints, route, overpassData } = fetchedCandidates;
+    const result = await AnalysisRunner.analyze(routePoints, route, overpassData, {
+      routeBuffer: options.routeBuffer,
+      bearingTolerance: options.bearingTolerance,
+      mergeGap: options.mergeGap,
+      forceInclude: [...forcedBrunnelIds]
+    });
+    if (!result) return false;
+
+    locatedBrunnels = BrunnelAnalysis.classifyAgainstExisting(
+      result.brunnels, fetchedCandidates.existingBrunnels
+    );
+    totalDistance = result.totalDistance;
+    analysisCandidates = result.candidates;
+
+    displayResults(locatedBrunnels, totalDistance);
+    displayExcluded(result.excluded);
+    for (const id of appliedBrunnelIds) {
+      const item = panelElement?.querySelector(`.bt-brunnel-item[data-id="${id}"]`);
+      if (item) item.classList.add('applied');
     }
+    updateSelection();
+
+    if (applyBtn) applyBtn.disabled = brunnelsToApply().length === 0;
+    panelElement.querySelector('#bt-exportGpxBtn').disabled = false;
+    panelElement.querySelector('#bt-exportGeoJsonBtn').disabled = false;
+    return true;
   }
 
-  function showProgress(text) {
-    const progress = panelElement?.querySelector('#bt-progress');
-    if (progress) {
-      progress.textContent = text;
-      progress.style.display = 'block';
+  // Brunnels "Apply All" would apply: not yet applied in this session and not
+  // already on the route (partial overlaps only when the option is ticked)
+  function brunnelsToApply() {
+    const includePartial = panelElement?.querySelector('#bt-applyPartial')?.checked || false;
+    return locatedBrunnels.filter(b =>
+      !appliedBrunnelIds.has(b.id) &&
+      (b.existingStatus === 'new' || (includePartial && b.existingStatus === 'partial'))
+    );
+  }
+
+  // e.g. "3 new, 2 already on route, 1 partially overlapping"
+  function summarizeExisting(brunnels) {
+    if (fetchedCandidates?.existingBrunnels === null) {
+      return "the elevation chart couldn't be read, so none are marked as already on the route";
     }
+
+    const counts = { new: 0, present: 0, partial: 0 };
+    for (const brunnel of brunnels) counts[brunnel.existingStatus]++;
+
+    const parts = [`${counts.new} new`];
+    if (counts.present > 0) parts.push(`${counts.present} already on route`);
+    if (counts.partial > 0) parts.push(`${counts.partial} partially overlapping`);
+    return parts.join(', ');
   }
 
-  function hideProgress() {
-    const progress = panelElement?.querySelector('#bt-progress');
-    if (progress) {
-      progress.style.display = 'none';
+  function readVerifyTolerance() {
+    return readNumberOption('bt-verifyTolerance', DEFAULT_VERIFY_TOLERANCE);
+  }
+
+  // Read the route's brunnels back after applying and compare each intended
+  // span (intended[i] for brunnels[i], after edits and padding) with what
+  // landed, showing the outcome (and a Retry button) on its row
+  async function verifyApplied(brunnels, intended, before) {
+    const tolerance = readVerifyTolerance();
+    const after = await BiketerraIntegration.readAppliedBrunnels();
+    const { window, added } = BrunnelAnalysis.readingChanges(before, after);
+
+    return brunnels.map((brunnel, i) => {
+      const verification = BrunnelAnalysis.verifyAppliedSpan(intended[i], added, tolerance, window);
+      const item = panelElement?.querySelector(`.bt-brunnel-item[data-id="${brunnel.id}"]`);
+      if (item) showVerification(brunnel, item, verification);
+      return verification;
+    });
+  }
+
+  function formatOffset(meters) {
+    const rounded = Math.round(meters);
+    return `${rounded > 0 ? '+' : ''}${rounded} m`;
+  }
+
+  function describeVerification(verification) {
+    if (verification.status === 'missing') {
+      return 'no matching brunnel was found on the route';
+    }
+    if (verification.status === 'unverified') {
+      return "it couldn't be checked: it's outside the part of the chart that was read. Use Show to inspect it";
     }
+    const { actual, startErrorMeters, endErrorMeters } = verification;
+    return `it landed at ${actual.startDistance.toFixed(3)} - ${actual.endDistance.toFixed(3)} km ` +
+      `(start ${formatOffset(startErrorMeters)}, end ${formatOffset(endErrorMeters)})`;
   }
 
-  function displayResults(brunnels, distance) {
-    const resultsDiv = panelElement?.querySelector('#bt-results');
-    if (!resultsDiv) return;
+  function showVerification(brunnel, item, verification) {
+    const slot = item.querySelector('.bt-brunnel-verify');
+    if (!slot) return;
 
-    resultsDiv.innerHTML = '';
+    item.classList.toggle('verify-failed', verification.status === 'off' || verification.status === 'missing');
+    slot.className = `bt-brunnel-verify ${verification.status}`;
 
-    if (brunnels.length === 0) {
-      resultsDiv.innerHTML = '<p class="bt-empty-message">No brunnels found on this route.</p>';
+    if (verification.status === 'ok') {
+      slot.textContent = `Verified: start ${formatOffset(verification.startErrorMeters)}, end ${formatOffset(verification.endErrorMeters)}`;
+      return;
+    }
+    // Applying the same span again would toggle it off, so no Retry here
+    if (verification.status === 'unverified') {
+      slot.textContent = `Not verified: ${describeVerification(verification)}.`;
       return;
     }
 
-    // Sort by start distance
-    const sorted = [...brunnels].sort((a, b) => a.startDistance - b.startDistance);
+    slot.innerHTML = `
+      <span>${escapeHtml(describeVerification(verification))}</span>
+      <button class="bt-brunnels-btn secondary compact">Retry</button>
+    `;
+    slot.querySelector('button').addEventListener('click', (event) => {
+      event.stopPropagation();
+      handleRetryBrunnel(brunnel, item, verification);
+    });
+  }
 
-    for (const brunnel of sorted) {
-      const item = document.createElement('div');
-      item.className = `bt-brunnel-item ${brunnel.type}`;
-      item.dataset.id = brunnel.id;
+  // Retry a brunnel that failed verification. Applying again on top of a
+  // misplaced span would leave both on the route, so that span is toggled
+  // off first and the brunnel is only applied again once the chart shows
+  // it's gone. The brunnel's journal entry is replaced by the new one.
+  async function handleRetryBrunnel(brunnel, item, verification) {
+    const routeId = BiketerraIntegration.getRouteKey();
+
+    if (verification.actual) {
+      const { actual } = verification;
+      updateStatus(`Removing the misplaced ${brunnel.type} at ${actual.startDistance.toFixed(3)} km...`, 'loading');
+      try {
+        await loadTurf();
+        const { routePoints } = await BiketerraIntegration.fetchRouteState();
+        const route = BiketerraIntegration.parseRouteData(routePoints);
+        const tolerance = readVerifyTolerance();
+        const { removed, before, after } =
+          await BiketerraIntegration.removeBrunnel(actual, route.coordinates, tolerance);
+
+        const status = BrunnelAnalysis.verifyRemoved(removed, before, after, tolerance);
+        if (status !== 'removed') {
+          const outcome = status === 'present' ? 'is still on the route' : "couldn't be confirmed as removed";
+          updateStatus(`Error: the misplaced ${brunnel.type} ${outcome}, so ${brunnel.name} was not applied again.`, 'error');
+          return;
+        }
+      } catch (error) {
+        updateStatus(`Error: ${error.message}`, 'error');
+        return;
+      }
+    }
 
-      const startKm = brunnel.startDistance.toFixed(2);
-      const endKm = brunnel.endDistance.toFixed(2);
-      const lengthM = ((brunnel.endDistance - brunnel.startDistance) * 1000).toFixed(0);
+    const previous = ApplyJournal.load(routeId).filter(e => e.brunnelId === brunnel.id);
+    ApplyJournal.remove(routeId, previous.map(e => e.entryId));
+    appliedBrunnelIds.delete(brunnel.id);
+    item.classList.remove('applied');
+    displayJournal();
 
-      const icon = brunnel.type === 'bridge' ? BRIDGE_ICON : TUNNEL_ICON;
+    await handleApplySingleBrunnel(brunnel, item, true);
+  }
+
+  function recordApplied(brunnels, verifications) {
+    const routeId = BiketerraIntegration.getRouteKey();
+    brunnels.forEach((brunnel, i) => {
+      ApplyJournal.record(routeId, currentRunId, brunnel, verifications[i]?.actual);
+    });
+    displayJournal();
+  }
+
+  function displayJournal() {
+    const section = panelElement?.querySelector('.bt-brunnels-journal');
+    const list = panelElement?.querySelector('#bt-journal');
+    if (!section || !list) return;
+
+    const entries = ApplyJournal.load(BiketerraIntegration.getRouteKey());
+    list.innerHTML = '';
+    section.style.display = entries.length > 0 ? '' : 'none';
+    panelElement.querySelector('#bt-journalCount').textContent = entries.length;
+    panelElement.querySelector('#bt-undoRunBtn').disabled =
+      !entries.some(e => e.runId === currentRunId);
+
+    // Most recent first, matching "Undo last"
+    for (const entry of [...entries].reverse()) {
+      const item = document.createElement('div');
+      item.className = `bt-excluded-item ${entry.type}`;
+
+      const icon = entry.type === 'bridge' ? BRIDGE_ICON : TUNNEL_ICON;
+      const osmLink = entry.osmId
+        ? `<a href="https://www.openstreetmap.org/way/${entry.osmId}" target="_blank" rel="noopener">way ${entry.osmId}</a> · `
+        : '';
       item.innerHTML = `
         ${icon}
         <div class="bt-brunnel-info">
-          <div class="bt-brunnel-name">${brunnel.name}</div>
-          <div class="bt-brunnel-span">${startKm} - ${endKm} km (${lengthM}m)</div>
+          <div class="bt-brunnel-name">${escapeHtml(entry.name)}</div>
+          <div class="bt-brunnel-span">
+            ${osmLink}${entry.startDistance.toFixed(3)} - ${entry.endDistance.toFixed(3)} km
+          </div>
         </div>
+        <button class="bt-brunnels-btn secondary compact" title="Remove from the route">Remove</button>
       `;
 
-      item.addEventListener('click', () => handleApplySingleBrunnel(brunnel, item));
-      resultsDiv.appendChild(item);
+      item.querySelector('button').addEventListener('click', () => handleUndo([entry]));
+      list.appendChild(item);
+    }
+  }
+
+  // Remove journaled brunnels from the route, reading the chart around each
+  // before and after to confirm it's gone. Only confirmed removals leave the
+  // journal; ones still found, unmatched or unverifiable stay in it.
+  async function handleUndo(entries) {
+    if (entries.length === 0) return;
+
+    const routeId = BiketerraIntegration.getRouteKey();
+    updateStatus(`Removing ${entries.length} brunnel(s)...`, 'loading');
+    showProgress('Removing applied brunnels...');
+
+    try {
+      const { routePoints } = await BiketerraIntegration.fetchRouteState();
+      const route = BiketerraIntegration.parseRouteData(routePoints);
+      const sorted = [...entries].sort((a, b) => a.startDistance - b.startDistance);
+
+      const tolerance = readVerifyTolerance();
+      const removed = [];
+      const remaining = [];
+      const unverified = [];
+      const unmatched = [];
+
+      // One at a time: each is zoomed to, matched and checked on its own
+      for (const entry of sorted) {
+        try {
+          const { removed: span, before, after } =
+            await BiketerraIntegration.removeBrunnel(entry, route.coordinates, tolerance);
+          const status = BrunnelAnalysis.verifyRemoved(span, before, after, tolerance);
+          if (status === 'removed') removed.push(entry);
+          else if (status === 'present') remaining.push(entry);
+          else unverified.push(entry);
+        } catch (error) {
+          unmatched.push(error.message);
+        }
+      }
+
+      ApplyJournal.remove(routeId, removed.map(e => e.entryId));
+
+      // Removed brunnels can be applied again from the results list
+      for (const entry of removed) {
+        appliedBrunnelIds.delete(entry.brunnelId);
+        const item = panelElement?.querySelector(`.bt-brunnel-item[data-id="${entry.brunnelId}"]`);
+        if (item) {
+          item.classList.remove('applied', 'verify-failed');
+          const slot = item.querySelector('.bt-brunnel-verify');
+          if (slot) slot.innerHTML = '';
+        }
+      }
+
+      const applyBtn = panelElement?.querySelector('#bt-applyBtn');
+      if (applyBtn) applyBtn.disabled = brunnelsToApply().length === 0;
+      updateSelection();
+
+      const problems = [];
+      if (remaining.length > 0) problems.push(`${remaining.length} still found on the route`);
+      if (unverified.length > 0) problems.push(`${unverified.length} toggled but couldn't be checked on the chart`);
+      if (unmatched.length > 0) problems.push(`${unmatched.length} not removed: ${unmatched[0]}`);
+
+      if (problems.length > 0) {
+        updateStatus(`Removed ${removed.length} brunnel(s); ${problems.join('; ')}.`, 'error');
+      } else {
+        updateStatus(`Removed ${removed.length} brunnel(s).`, 'success');
+      }
+    } catch (error) {
+      updateStatus(`Error: ${error.message}`, 'error');
     }
+
+    hideProgress();
+    displayJournal();
+  }
+
+  // Debounced re-analysis while the user edits filter options
+  function scheduleReanalysis() {
+    clearTimeout(reanalyzeTimer);
+    reanalyzeTimer = setTimeout(async () => {
+      if (!fetchedCandidates) return;
+      try {
+        if (!await showAnalysis(readPanelOptions())) return;
+        updateStatus(`Updated: ${locatedBrunnels.length} brunnel(s) with the new options.`, 'success');
+      } catch (error) {
+        updateStatus(`Error: ${error.message}`, 'error');
+      }
+    }, REANALYZE_DELAY_MS);
   }
 
   async function handleLocateBrunnels() {
     const locateBtn = panelElement?.querySelector('#bt-locateBtn');
-    const applyBtn = panelElement?.querySelector('#bt-applyBtn');
+    const options = readPanelOptions();
 
-    const queryBuffer = parseInt(panelElement?.querySelector('#bt-queryBuffer')?.value) || 10;
-    const routeBuffer = parseInt(panelElement?.querySelector('#bt-routeBuffer')?.value) || 3;
-    const bearingTolerance = parseInt(panelElement?.querySelector('#bt-bearingTolerance')?.value) || 20;
+    // A new search makes any analysis still running for the old one irrelevant
+    clearTimeout(reanalyzeTimer);
+    AnalysisRunner.cancel();
 
     updateStatus('Locating brunnels...', 'loading');
     showProgress('Extracting route data...');
     if (locateBtn) locateBtn.disabled = true;
 
     try {
-      const result = await locateBrunnels({ queryBuffer, routeBuffer, bearingTolerance });
-
-      locatedBrunnels = result.brunnels;
-      totalDistance = result.totalDistance;
+      fetchedCandidates = await fetchCandidates(options);
       appliedBrunnelIds = new Set();
-
-      displayResults(locatedBrunnels, totalDistance);
-
-      updateStatus(`Found ${locatedBrunnels.length} brunnel(s). Click to apply individually.`, 'success');
-      if (applyBtn) applyBtn.disabled = locatedBrunnels.length === 0;
+      forcedBrunnelIds = new Set();
+      spanEdits = new Map();
+      selectedBrunnelIds = new Set();
+      lastSelectedId = null;
+      currentRunId = Date.now().toString(36);
+
+      showProgress('Analyzing candidates...');
+      if (await showAnalysis(options)) {
+        updateStatus(
+          `Found ${locatedBrunnels.length} brunnel(s): ${summarizeExisting(locatedBrunnels)}. ` +
+            (isReviewMode() ? 'Select the ones to apply.' : 'Click to apply individually.'),
+          'success'
+        );
+      }
       hideProgress();
     } catch (error) {
       updateStatus(`Error: ${error.message}`, 'error');
       hideProgress();
       if (locateBtn) locateBtn.disabled = false;
     }
+
+    await updateCacheInfo();
+  }
+
+  // Zoom the chart and map to where a brunnel would be applied, to inspect
+  // the terrain first
+  async function handleShowBrunnel(brunnel) {
+    const span = spanToApply(brunnel) || brunnel;
+    const paddingKm = readNumberOption('bt-showPadding', OptionStore.DEFAULTS.showPadding) / 1000;
+
+    updateStatus(`Showing ${brunnel.name}...`, 'loading');
+    try {
+      await BiketerraIntegration.showBrunnel(span, paddingKm);
+      updateStatus(
+        `Showing ${brunnel.name} (${span.startDistance.toFixed(3)} - ${span.endDistance.toFixed(3)} km). Click the row to apply it.`,
+        'success'
+      );
+    } catch (error) {
+      updateStatus(`Error: ${error.message}`, 'error');
+    }
   }
 
-  async function handleApplySingleBrunnel(brunnel, item) {
+  async function handleApplySingleBrunnel(brunnel, item, retry = false) {
     // Skip if already applied
     if (appliedBrunnelIds.has(brunnel.id)) return;
 
+    // A retry has already been confirmed, if need be
+    if (brunnel.existingStatus === 'present' && !retry &&
+        !window.confirm(`${brunnel.name} is already on this route. Apply it again?`)) {
+      return;
+    }
+
     const applyBtn = panelElement?.querySelector('#bt-applyBtn');
 
     updateStatus(`Applying ${brunnel.name}...`, 'loading');
@@ -1513,20 +2796,42 @@ out geom qt;`;
       await loadTurf();
 
       // Fetch route data for track point workaround
-      const simpleRoute = await BiketerraIntegration.fetchRouteData();
-      const route = BiketerraIntegration.parseRouteData(simpleRoute);
+      const { routePoints } = await BiketerraIntegration.fetchRouteState();
+      const route = BiketerraIntegration.parseRouteData(routePoints);
+      const [span] = spansToApply([brunnel]);
+
+      // Zoom first, so what's on the route is read under the same zoom
+      // before and after applying
+      BiketerraSelectors.assertCompatible();
+      const visibleRange = await BiketerraIntegration.zoomToBrunnel(span);
+      if (!visibleRange) {
+        throw new Error('Could not zoom to brunnel');
+      }
+      const before = BiketerraIntegration.readRouteBrunnels();
 
-      // Apply the brunnel (handles zoom and track point workaround)
-      await BiketerraIntegration.applyBrunnel(brunnel, route.coordinates);
+      // Apply the brunnel (handles track point workaround)
+      await BiketerraIntegration.applyBrunnel(span, route.coordinates, false, visibleRange);
 
       // Mark as applied
       appliedBrunnelIds.add(brunnel.id);
       item.classList.add('applied');
+      updateSelection();
+
+      const [verification] = await verifyApplied([brunnel], [span], before);
+      recordApplied([span], [verification]);
+      if (verification.status === 'unverified') {
+        updateStatus(`Applied ${brunnel.name}, but ${describeVerification(verification)}.`, 'success');
+        return;
+      }
+      if (verification.status !== 'ok') {
+        updateStatus(`Applied ${brunnel.name}, but ${describeVerification(verification)}.`, 'error');
+        return;
+      }
 
       // Update status
-      const remaining = locatedBrunnels.length - appliedBrunnelIds.size;
+      const remaining = brunnelsToApply().length;
       if (remaining === 0) {
-        updateStatus(`All ${locatedBrunnels.length} brunnel(s) applied!`, 'success');
+        updateStatus(`All new brunnel(s) applied!`, 'success');
         if (applyBtn) applyBtn.disabled = true;
       } else {
         updateStatus(`Applied ${brunnel.name}. ${remaining} remaining.`, 'success');
@@ -1539,27 +2844,58 @@ out geom qt;`;
   async function handleApplyAllBrunnels() {
     const applyBtn = panelElement?.querySelector('#bt-applyBtn');
 
-    // Filter to only non-applied brunnels
-    const remaining = locatedBrunnels.filter(b => !appliedBrunnelIds.has(b.id));
+    // Filter to brunnels not yet applied and not already on the route
+    const remaining = brunnelsToApply();
 
     if (remaining.length === 0) {
       if (applyBtn) applyBtn.disabled = true;
       return;
     }
 
+    await applyBrunnelBatch(remaining);
+  }
+
+  async function handleApplySelectedBrunnels() {
+    const selected = selectedBrunnels();
+    if (selected.length === 0) return;
+
+    const present = selected.filter(b => b.existingStatus === 'present');
+    if (present.length > 0 &&
+        !window.confirm(`${present.length} selected brunnel(s) are already on this route. Apply them again?`)) {
+      return;
+    }
+
+    await applyBrunnelBatch(selected);
+  }
+
+  // Apply several brunnels with a single zoom, then verify and journal them
+  async function applyBrunnelBatch(brunnels) {
+    const applyBtn = panelElement?.querySelector('#bt-applyBtn');
+    const applySelectedBtn = panelElement?.querySelector('#bt-applySelectedBtn');
+
     updateStatus('Applying brunnels...', 'loading');
-    showProgress(`Applying ${remaining.length} brunnels with precision zoom...`);
+    showProgress(`Applying ${brunnels.length} brunnels with precision zoom...`);
     if (applyBtn) applyBtn.disabled = true;
+    if (applySelectedBtn) applySelectedBtn.disabled = true;
 
     try {
       await loadTurf();
-      const simpleRoute = await BiketerraIntegration.fetchRouteData();
-      const route = BiketerraIntegration.parseRouteData(simpleRoute);
+      const { routePoints } = await BiketerraIntegration.fetchRouteState();
+      const route = BiketerraIntegration.parseRouteData(routePoints);
 
       // Sort by start distance
-      const sorted = [...remaining].sort((a, b) => a.startDistance - b.startDistance);
+      const sorted = [...brunnels].sort((a, b) => a.startDistance - b.startDistance);
+      const spans = spansToApply(sorted);
+
+      // Zoom once, and read what's on the route under that zoom before applying
+      BiketerraSelectors.assertCompatible();
+      const visibleRange = await BiketerraIntegration.zoomToTargetRange();
+      if (!visibleRange) {
+        throw new Error('Could not zoom to target range');
+      }
+      const before = BiketerraIntegration.readRouteBrunnels();
 
-      await BiketerraIntegration.applyAllBrunnels(sorted, route.coordinates);
+      await BiketerraIntegration.applyAllBrunnels(spans, route.coordinates, visibleRange);
 
       // Mark all as applied in UI
       for (const brunnel of sorted) {
@@ -1568,72 +2904,130 @@ out geom qt;`;
         if (item) item.classList.add('applied');
       }
 
-      updateStatus(`Applied ${sorted.length} brunnel(s) successfully!`, 'success');
+      showProgress('Verifying applied brunnels...');
+      const verifications = await verifyApplied(sorted, spans, before);
+      recordApplied(spans, verifications);
+      const failed = verifications.filter(v => v.status === 'off' || v.status === 'missing').length;
+      const unverified = verifications.filter(v => v.status === 'unverified').length;
+      const unverifiedNote = unverified > 0
+        ? ` ${unverified} outside the chart's view couldn't be checked.`
+        : '';
+
+      if (failed > 0) {
+        updateStatus(
+          `Applied ${sorted.length} brunnel(s); ${failed} did not land within ${readVerifyTolerance()} m. Use Retry on the flagged rows.${unverifiedNote}`,
+          'error'
+        );
+      } else {
+        updateStatus(`Applied ${sorted.length} brunnel(s) successfully!${unverifiedNote}`, 'success');
+      }
       hideProgress();
     } catch (error) {
       updateStatus(`Error: ${error.message}`, 'error');
       hideProgress();
-      if (applyBtn) applyBtn.disabled = false;
     }
+
+    if (applyBtn) applyBtn.disabled = brunnelsToApply().length === 0;
+    updateSelection();
   }
 
   // ============================================================================
-  // Main Location Pipeline
+  // Custom Endpoint Access
   // ============================================================================
 
-  async function locateBrunnels(options = {}) {
-    const { queryBuffer = 10, routeBuffer = 3, bearingTolerance = 20 } = options;
+  // Endpoints off the default servers need an optional host permission.
+  // Content scripts can't request one, so the background opens an extension
+  // page that asks for it on a click
 
-    // Load Turf.js
-    await loadTurf();
+  let endpointAccessTimer = null;
 
-    // Fetch route data from Biketerra API
-    const simpleRoute = await BiketerraIntegration.fetchRouteData();
-    const route = BiketerraIntegration.parseRouteData(simpleRoute);
+  function scheduleEndpointAccessCheck() {
+    clearTimeout(endpointAccessTimer);
+    endpointAccessTimer = setTimeout(updateEndpointAccess, OPTION_SAVE_DELAY_MS);
+  }
 
-    // Calculate bounds and query Overpass
-    const bounds = GeometryUtils.calculateBounds(route.coordinates);
-    const expandedBounds = GeometryUtils.expandBounds(bounds, queryBuffer);
+  function missingHostPatterns() {
+    const input = panelElement?.querySelector('#bt-overpassEndpoints');
+    return OverpassAPI.hostPatterns(OverpassAPI.parseEndpoints(input?.value));
+  }
 
-    showProgress('Querying OpenStreetMap...');
-    const overpassData = await OverpassAPI.queryBrunnels(expandedBounds);
+  async function updateEndpointAccess() {
+    const note = panelElement?.querySelector('#bt-endpointAccess');
+    if (!note) return;
+
+    const origins = missingHostPatterns();
+    let granted = true;
+    if (origins.length > 0) {
+      try {
+        ({ granted } = await chrome.runtime.sendMessage({ action: 'checkHostAccess', origins }));
+      } catch (error) {
+        granted = false; // Extension reloaded; the request will fail the same way
+      }
+    }
+    note.style.display = granted ? 'none' : '';
+  }
+
+  async function handleAllowEndpoints() {
+    try {
+      await chrome.runtime.sendMessage({ action: 'requestHostAccess', origins: missingHostPatterns() });
+    } catch (error) {
+      updateStatus(`Error: Could not open the permission page: ${error.message}`, 'error');
+    }
+  }
+
+  // ============================================================================
+  // Main Location Pipeline
+  // ============================================================================
 
-    // Create Brunnel instances
-    const brunnels = Brunnel.fromOverpassData(overpassData);
+  // Fetch stage: route geometry from Biketerra and candidate brunnels from Overpass
+  // Only queryBuffer and the Overpass/cache options affect this stage
+  async function fetchCandidates(options = {}) {
+    const {
+      queryBuffer = 10,
+      endpoints = OverpassAPI.DEFAULT_ENDPOINTS,
+      chunkLength = 5,
+      cacheTtlHours = OverpassCache.DEFAULT_TTL_HOURS,
+      forceRefresh = false
+    } = options;
 
-    // Filter by containment (distance-based, avoids buffer polygon issues)
-    BrunnelAnalysis.filterContained(brunnels, route, routeBuffer);
+    // Load Turf.js
+    await loadTurf();
 
-    // Calculate route spans
-    BrunnelAnalysis.calculateRouteSpans(brunnels, route);
+    // Fetch route data from the editor or Biketerra API
+    const routeState = await BiketerraIntegration.fetchRouteState();
+    const { routePoints } = routeState;
+    const route = BiketerraIntegration.parseRouteData(routePoints);
+    showRouteSource(routeState);
 
-    // Calculate cumulative distances for alignment check
-    const cumulativeDistances = GeometryUtils.calculateCumulativeDistances(route.coordinates);
+    // The brunnels already on the route, as the elevation chart draws them
+    showProgress('Reading brunnels on the route...');
+    const existingBrunnels = await BiketerraIntegration.readExistingBrunnels(route.totalDistance);
 
-    // Filter by alignment
-    BrunnelAnalysis.filterAligned(brunnels, route.coordinates, cumulativeDistances, bearingTolerance);
+    // Split the route corridor into chunks (chunkLength in km) and query Overpass
+    const corridorBounds = GeometryUtils.calculateCorridorBounds(
+      route.coordinates, chunkLength * 1000, queryBuffer
+    );
 
-    // Handle overlaps
-    BrunnelAnalysis.handleOverlaps(brunnels, route);
+    showProgress('Querying OpenStreetMap...');
+    const overpassData = await OverpassAPI.queryCorridor(corridorBounds, {
+      endpoints,
+      cacheTtlHours,
+      forceRefresh,
+      onStatus: showProgress
+    });
 
-    // Get included brunnels
-    const includedBrunnels = brunnels.filter(b => b.isIncluded() && b.routeSpan);
+    // Expired entries are kept for one extra lifetime as an offline fallback
+    await OverpassCache.prune(cacheTtlHours);
 
-    // Merge adjacent brunnels of the same type (within 1m)
-    // OSM often divides bridges/tunnels into multiple components
-    const mergedBrunnels = BrunnelAnalysis.mergeAdjacentBrunnels(includedBrunnels);
+    return { routePoints, route, overpassData, existingBrunnels, queryBounds: corridorBounds };
+  }
 
-    // Return simplified data for popup
-    return {
-      brunnels: mergedBrunnels.map(b => ({
-        id: b.id,
-        type: b.type,
-        name: b.name,
-        startDistance: b.routeSpan.startDistance,
-        endDistance: b.routeSpan.endDistance
-      })),
-      totalDistance: route.totalDistance
-    };
+  async function locateBrunnels(options = {}) {
+    const { routePoints, route, overpassData, existingBrunnels } = await fetchCandidates(options);
+    const result = await AnalysisRunner.analyze(routePoints, route, overpassData, options);
+    if (!result) throw new Error('Analysis was cancelled');
+    result.brunnels = BrunnelAnalysis.classifyAgainstExisting(result.brunnels, existingBrunnels);
+    return result;
   }
 
   // ============================================================================
@@ -0,0 +1,311 @@
+// Biketerra Brunnels Extension - Route File Import Page
+// Runs the locate pipeline on a local GPX/TCX/FIT file, with no Biketerra tab:
+// parse the file, query Overpass along the route, analyze in a worker, then
+// list, map and export the brunnels
+
+const BRIDGE_ICON = `<svg class="bt-brunnel-icon" viewBox="0 0 147 71" fill="none" xmlns="http://www.w3.org/2000/svg">
+<path d="M74.5 5C39 5 35.5 24.5 5 24.5V66H19H33C36 41 46 24.5 74.5 24.5C101.5 24.5 111 40 116 66H142V24.5C111 24.5 108 5 74.5 5Z" stroke-width="10" stroke-linecap="round" stroke-linejoin="round"/>
+</svg>`;
+
+const TUNNEL_ICON = `<svg class="bt-brunnel-icon" viewBox="0 0 118 87" fill="none" xmlns="http://www.w3.org/2000/svg">
+<path d="M58.5 5.21033H5V81.7103H35C30.5 73.5 26.5 66 26.5 53.2103C26.5 34 42.5 20 60 20C77.5 20 92.5 33.5 92.5 53.2103C92.5 66 89.5 74.5 83 81.7103H112.5V5.21033H58.5Z" stroke-width="10" stroke-linejoin="round"/>
+</svg>`;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const { GeometryUtils } = BrunnelCore;
+const { OverpassAPI, OverpassCache } = Overpass;
+
+// The loaded file, and the results of the last Locate
+let importedRoute = null; // { name, format, routePoints, route }
+let overpassData = null;
+let queryBounds = [];
+let analysis = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('routeFile').addEventListener('change', handleFileSelected);
+  document.getElementById('locateBtn').addEventListener('click', locateBrunnels);
+  document.getElementById('exportGpxBtn').addEventListener('click', exportGpx);
+  document.getElementById('exportGeoJsonBtn').addEventListener('click', exportGeoJson);
+});
+
+// ============================================================================
+// Status
+// ============================================================================
+
+function updateStatus(text, type = '') {
+  const status = document.getElementById('status');
+  status.textContent = text;
+  status.className = 'bt-brunnels-status' + (type ? ' ' + type : '');
+}
+
+function showProgress(text) {
+  const progress = document.getElementById('progress');
+  progress.textContent = text;
+  progress.style.display = 'block';
+}
+
+function hideProgress() {
+  document.getElementById('progress').style.display = 'none';
+}
+
+// ============================================================================
+// File Loading
+// ============================================================================
+
+function readFile(file, format) {
+  return format === 'fit' ? file.arrayBuffer() : file.text();
+}
+
+async function handleFileSelected(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  importedRoute = null;
+  overpassData = null;
+  analysis = null;
+  document.getElementById('locateBtn').disabled = true;
+  setExportsEnabled(false);
+  document.getElementById('results').innerHTML = '';
+
+  try {
+    const format = RouteImport.detectFormat(file.name);
+    const data = await readFile(file, format);
+    const parsed = RouteImport.parseFile(file.name, data);
+
+    importedRoute = { ...parsed, route: BrunnelCore.buildRoute(parsed.routePoints) };
+    drawMap();
+    document.getElementById('locateBtn').disabled = false;
+
+    const km = importedRoute.route.totalDistance.toFixed(2);
+    updateStatus(`Loaded ${parsed.name}: ${parsed.routePoints.length} points, ${km} km. Click "Locate Brunnels".`, 'success');
+  } catch (error) {
+    updateStatus(`Error: ${error.message}`, 'error');
+  }
+}
+
+// ============================================================================
+// Locate Pipeline
+// ============================================================================
+
+function readOptions() {
+  const number = (id, defaultValue) => {
+    const value = parseFloat(document.getElementById(id).value);
+    return Number.isFinite(value) && value >= 0 ? value : defaultValue;
+  };
+
+  return {
+    queryBuffer: number('queryBuffer', 10),
+    routeBuffer: number('routeBuffer', 3),
+    bearingTolerance: number('bearingTolerance', 20),
+    mergeGap: number('mergeGap', 1)
+  };
+}
+
+// Same worker the Biketerra page uses (via the offscreen document); analyzes
+// on this page if it can't be started
+function analyzeInWorker(routePoints, data, options) {
+  return new Promise((resolve) => {
+    let worker;
+    try {
+      worker = new Worker('js/analysis-worker.js');
+    } catch (error) {
+      resolve(BrunnelCore.analyzeCandidates(importedRoute.route, data, options));
+      return;
+    }
+
+    const finish = (result) => {
+      worker.terminate();
+      resolve(result);
+    };
+    worker.onmessage = (event) => {
+      if (event.data.error) {
+        console.warn('Analysis worker failed, analyzing on the page:', event.data.error);
+        finish(BrunnelCore.analyzeCandidates(importedRoute.route, data, options));
+      } else {
+        finish(event.data.result);
+      }
+    };
+    worker.onerror = (event) => {
+      console.warn('Analysis worker failed, analyzing on the page:', event.message);
+      finish(BrunnelCore.analyzeCandidates(importedRoute.route, data, options));
+    };
+    worker.postMessage({ requestId: 1, routePoints, overpassData: data, options });
+  });
+}
+
+async function locateBrunnels() {
+  if (!importedRoute) return;
+
+  const locateBtn = document.getElementById('locateBtn');
+  const options = readOptions();
+  const { route, routePoints } = importedRoute;
+
+  locateBtn.disabled = true;
+  updateStatus('Locating brunnels...', 'loading');
+
+  try {
+    queryBounds = GeometryUtils.calculateCorridorBounds(route.coordinates, 5000, options.queryBuffer);
+
+    showProgress('Querying OpenStreetMap...');
+    overpassData = await OverpassAPI.queryCorridor(queryBounds, { onStatus: showProgress });
+    await OverpassCache.prune();
+
+    showProgress('Analyzing candidates...');
+    analysis = await analyzeInWorker(routePoints, overpassData, {
+      routeBuffer: options.routeBuffer,
+      bearingTolerance: options.bearingTolerance,
+      mergeGap: options.mergeGap
+    });
+
+    displayResults(analysis.brunnels);
+    drawMap();
+    setExportsEnabled(true);
+    updateStatus(
+      `Found ${analysis.brunnels.length} brunnel(s); ${analysis.excluded.length} candidate(s) excluded.`,
+      'success'
+    );
+  } catch (error) {
+    updateStatus(`Error: ${error.message}`, 'error');
+  }
+
+  hideProgress();
+  locateBtn.disabled = false;
+}
+
+// ============================================================================
+// Results List
+// ============================================================================
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function displayResults(brunnels) {
+  const resultsDiv = document.getElementById('results');
+  resultsDiv.innerHTML = '';
+
+  if (brunnels.length === 0) {
+    resultsDiv.innerHTML = '<p class="bt-empty-message">No brunnels found on this route.</p>';
+    return;
+  }
+
+  const sorted = [...brunnels].sort((a, b) => a.startDistance - b.startDistance);
+  for (const brunnel of sorted) {
+    const item = document.createElement('div');
+    item.className = `bt-brunnel-item ${brunnel.type}`;
+    item.dataset.id = brunnel.id;
+
+    const lengthM = ((brunnel.endDistance - brunnel.startDistance) * 1000).toFixed(0);
+    const pass = brunnel.passCount > 1 ? ` · pass ${brunnel.pass} of ${brunnel.passCount}` : '';
+    const icon = brunnel.type === 'bridge' ? BRIDGE_ICON : TUNNEL_ICON;
+    item.innerHTML = `
+      ${icon}
+      <div class="bt-brunnel-info">
+        <div class="bt-brunnel-name">${escapeHtml(brunnel.name)}</div>
+        <div class="bt-brunnel-span">${brunnel.startDistance.toFixed(2)} - ${brunnel.endDistance.toFixed(2)} km (${lengthM}m)${pass}</div>
+      </div>
+    `;
+
+    item.addEventListener('click', () => highlightBrunnel(brunnel.id));
+    resultsDiv.appendChild(item);
+  }
+}
+
+function highlightBrunnel(id) {
+  for (const el of document.querySelectorAll('.bt-brunnel-item, #map .brunnel')) {
+    el.classList.toggle('active', el.dataset.id === String(id));
+  }
+}
+
+// ============================================================================
+// Map
+// ============================================================================
+
+// Route and brunnels as an SVG in a local equirectangular projection. There's
+// no basemap; it's for seeing where along the route each brunnel falls.
+function drawMap() {
+  const svg = document.getElementById('map');
+  svg.innerHTML = '';
+  if (!importedRoute) return;
+
+  const coords = importedRoute.route.coordinates;
+  const meanLat = coords.reduce((sum, c) => sum + c.lat, 0) / coords.length;
+  const kx = Math.cos(meanLat * Math.PI / 180);
+  const project = c => [c.lon * kx, -c.lat];
+
+  const projected = coords.map(project);
+  const xs = projected.map(p => p[0]);
+  const ys = projected.map(p => p[1]);
+  const minX = Math.min(...xs), maxX = Math.max(...xs);
+  const minY = Math.min(...ys), maxY = Math.max(...ys);
+  const pad = Math.max(maxX - minX, maxY - minY, 1e-6) * 0.05;
+  svg.setAttribute('viewBox', `${minX - pad} ${minY - pad} ${maxX - minX + 2 * pad} ${maxY - minY + 2 * pad}`);
+
+  const toPoints = list => list.map(p => `${p[0]},${p[1]}`).join(' ');
+
+  const routeLine = document.createElementNS(SVG_NS, 'polyline');
+  routeLine.setAttribute('class', 'route');
+  routeLine.setAttribute('points', toPoints(projected));
+  svg.appendChild(routeLine);
+
+  for (const brunnel of analysis?.brunnels || []) {
+    const startM = brunnel.startDistance * 1000;
+    const endM = brunnel.endDistance * 1000;
+    const span = [
+      RouteExport.pointAtDistance(coords, startM),
+      ...coords.filter(c => c.distance > startM && c.distance < endM),
+      RouteExport.pointAtDistance(coords, endM)
+    ];
+
+    const line = document.createElementNS(SVG_NS, 'polyline');
+    line.setAttribute('class', `brunnel ${brunnel.type}`);
+    line.setAttribute('points', toPoints(span.map(project)));
+    line.dataset.id = brunnel.id;
+    line.addEventListener('click', () => highlightBrunnel(brunnel.id));
+
+    const title = document.createElementNS(SVG_NS, 'title');
+    title.textContent = `${brunnel.name} (${brunnel.startDistance.toFixed(2)} km)`;
+    line.appendChild(title);
+    svg.appendChild(line);
+  }
+
+  document.getElementById('mapCaption').textContent =
+    `${importedRoute.name} · ${importedRoute.route.totalDistance.toFixed(2)} km` +
+    (analysis ? ' · bridges in red, tunnels in yellow' : '');
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+
+function setExportsEnabled(enabled) {
+  document.getElementById('exportGpxBtn').disabled = !enabled;
+  document.getElementById('exportGeoJsonBtn').disabled = !enabled;
+}
+
+function downloadFile(filename, text, mimeType) {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportBaseName() {
+  return `${importedRoute.name.replace(/[^\w.-]+/g, '_')}-brunnels`;
+}
+
+function exportGpx() {
+  const gpx = RouteExport.toGpx(importedRoute.route, analysis.brunnels, { name: importedRoute.name });
+  downloadFile(`${exportBaseName()}.gpx`, gpx, 'application/gpx+xml');
+}
+
+function exportGeoJson() {
+  const geojson = RouteExport.toGeoJson(importedRoute.route, overpassData, analysis.candidates, queryBounds);
+  downloadFile(`${exportBaseName()}.geojson`, JSON.stringify(geojson, null, 2), 'application/geo+json');
+}
@@ -0,0 +1,55 @@
+// Biketerra Brunnels Extension - Offscreen Document
+// Hosts analysis workers, one job per tab; starting a new job for a tab
+// terminates the one still running there
+
+const jobs = new Map(); // tabId -> { worker, sendResponse }
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') return false;
+
+  if (message.action === 'analyze') {
+    startJob(message, sendResponse);
+    return true; // Async response
+  }
+
+  if (message.action === 'cancel') {
+    cancelJob(message.tabId);
+    sendResponse({ success: true });
+    return false;
+  }
+
+  return false;
+});
+
+function cancelJob(tabId) {
+  const job = jobs.get(tabId);
+  if (!job) return;
+
+  job.worker.terminate();
+  jobs.delete(tabId);
+  job.sendResponse({ cancelled: true });
+}
+
+function finishJob(tabId, worker, response) {
+  const job = jobs.get(tabId);
+  if (!job || job.worker !== worker) return;
+
+  worker.terminate();
+  jobs.delete(tabId);
+  job.sendResponse(response);
+}
+
+function startJob({ tabId, requestId, payload }, sendResponse) {
+  cancelJob(tabId);
+
+  const worker = new Worker('js/analysis-worker.js');
+  jobs.set(tabId, { worker, sendResponse });
+
+  worker.onmessage = (event) => finishJob(tabId, worker, event.data);
+  worker.onerror = (event) => {
+    event.preventDefault();
+    finishJob(tabId, worker, { requestId, error: event.message || 'Analysis worker failed' });
+  };
+
+  worker.postMessage({ requestId, ...payload });
+}
@@ -0,0 +1,242 @@
+// Biketerra Brunnels Extension - Option Store
+// Saves the panel and popup options and named presets in chrome.storage.sync,
+// so they follow the user between sessions and browsers. Per-route overrides
+// go to chrome.storage.local instead: there is one per route, and sync's item
+// and size quotas would run out. Values are validated against DEFAULTS on the
+// way in and out.
+
+(function(global) {
+  'use strict';
+
+  const OPTIONS_KEY = 'options';
+  const PRESETS_KEY = 'presets';
+  const ROUTE_KEY_PREFIX = 'routeOptions:';
+  const EXPORT_FORMAT = 'bt-brunnels-presets';
+  const EXPORT_VERSION = 1;
+
+  const OptionStore = {
+    // Every saved option and its default. endpoints: null means the built-in
+    // Overpass list. New options only need an entry here (and an input).
+    DEFAULTS: {
+      queryBuffer: 10,
+      routeBuffer: 3,
+      bearingTolerance: 20,
+      mergeGap: 1,
+      verifyTolerance: 10,
+      padMeters: 0,
+      showPadding: 100,
+      cacheTtlHours: 24,
+      endpoints: null,
+      applyPartial: false,
+      chartPreview: true,
+      reviewMode: false
+    },
+
+    // Options a preset carries: the search, filter and apply settings, not
+    // the Overpass or cache setup
+    PRESET_KEYS: ['queryBuffer', 'routeBuffer', 'bearingTolerance', 'mergeGap', 'verifyTolerance', 'padMeters'],
+
+    // Presets offered until the user saves their own
+    BUILTIN_PRESETS: {
+      'Urban dense': { queryBuffer: 8, routeBuffer: 2, bearingTolerance: 15, mergeGap: 1 },
+      'Rural': { queryBuffer: 15, routeBuffer: 5, bearingTolerance: 25, mergeGap: 2 },
+      'Mountain tunnels': { queryBuffer: 20, routeBuffer: 8, bearingTolerance: 30, mergeGap: 10 }
+    },
+
+    // Storage areas for options and presets, and for route overrides;
+    // replaceable for tests
+    storageArea: null,
+    routeStorageArea: null,
+
+    _area() {
+      const area = this.storageArea || global.chrome?.storage?.sync;
+      if (!area) throw new Error('Extension storage is unavailable');
+      return area;
+    },
+
+    _routeArea() {
+      const area = this.routeStorageArea || global.chrome?.storage?.local;
+      if (!area) throw new Error('Extension storage is unavailable');
+      return area;
+    },
+
+    async _get(key, area = this._area()) {
+      const items = await area.get(key);
+      return items[key];
+    },
+
+    // A route's override, moving it over from sync storage, where earlier
+    // versions kept overrides
+    async _getRouteOverride(routeId) {
+      const key = ROUTE_KEY_PREFIX + routeId;
+      const override = await this._get(key, this._routeArea());
+      if (override !== undefined) return override;
+
+      const synced = await this._get(key);
+      if (synced !== undefined) {
+        await this._routeArea().set({ [key]: synced });
+        await this._area().remove(key);
+      }
+      return synced;
+    },
+
+    // Known options with valid values only; anything else is dropped
+    sanitize(options) {
+      const clean = {};
+      if (typeof options !== 'object' || options === null) return clean;
+
+      for (const [key, defaultValue] of Object.entries(this.DEFAULTS)) {
+        if (!(key in options)) continue;
+        const value = options[key];
+
+        if (key === 'endpoints') {
+          if (value === null) {
+            clean.endpoints = null;
+          } else if (Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string')) {
+            clean.endpoints = [...value];
+          }
+        } else if (typeof defaultValue === 'boolean') {
+          if (typeof value === 'boolean') clean[key] = value;
+        } else if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+          clean[key] = value;
+        }
+      }
+      return clean;
+    },
+
+    pick(options, keys) {
+      return Object.fromEntries(keys.filter(key => key in options).map(key => [key, options[key]]));
+    },
+
+    // ==========================================================================
+    // Options
+    // ==========================================================================
+
+    // Options in effect for a route (null for unsaved routes): the defaults,
+    // then the saved options, then the route's own override if it has one.
+    // Returns { options, override }
+    async load(routeId = null) {
+      const saved = this.sanitize(await this._get(OPTIONS_KEY));
+      const override = routeId ? await this._getRouteOverride(routeId) : undefined;
+      const cleanOverride = override ? this.sanitize(override) : null;
+
+      return {
+        options: { ...this.DEFAULTS, ...saved, ...cleanOverride },
+        override: cleanOverride
+      };
+    },
+
+    async save(options) {
+      await this._area().set({ [OPTIONS_KEY]: this.sanitize(options) });
+    },
+
+    async saveRouteOverride(routeId, options) {
+      await this._routeArea().set({ [ROUTE_KEY_PREFIX + routeId]: this.sanitize(options) });
+    },
+
+    async clearRouteOverride(routeId) {
+      await this._routeArea().remove(ROUTE_KEY_PREFIX + routeId);
+      await this._area().remove(ROUTE_KEY_PREFIX + routeId);
+    },
+
+    // ==========================================================================
+    // Presets
+    // ==========================================================================
+
+    async listPresets() {
+      const saved = await this._get(PRESETS_KEY);
+      const presets = saved || this.BUILTIN_PRESETS;
+      return Object.fromEntries(Object.entries(presets).map(
+        ([name, options]) => [name, this.pick(this.sanitize(options), this.PRESET_KEYS)]
+      ));
+    },
+
+    async _savePresets(presets) {
+      await this._area().set({ [PRESETS_KEY]: presets });
+    },
+
+    _checkName(name) {
+      const trimmed = (name || '').trim();
+      if (!trimmed) throw new Error('Preset name is empty');
+      return trimmed;
+    },
+
+    async savePreset(name, options) {
+      const presetName = this._checkName(name);
+      const presets = await this.listPresets();
+      presets[presetName] = this.pick(this.sanitize(options), this.PRESET_KEYS);
+      await this._savePresets(presets);
+      return presetName;
+    },
+
+    async renamePreset(oldName, newName) {
+      const presetName = this._checkName(newName);
+      const presets = await this.listPresets();
+      if (!(oldName in presets)) throw new Error(`No preset named "${oldName}"`);
+      if (presetName !== oldName && presetName in presets) {
+        throw new Error(`A preset named "${presetName}" already exists`);
+      }
+
+      // Rebuild to keep the preset's place in the list
+      const renamed = {};
+      for (const [name, options] of Object.entries(presets)) {
+        renamed[name === oldName ? presetName : name] = options;
+      }
+      await this._savePresets(renamed);
+      return presetName;
+    },
+
+    async deletePreset(name) {
+      const presets = await this.listPresets();
+      delete presets[name];
+      await this._savePresets(presets);
+    },
+
+    // ==========================================================================
+    // Import / Export
+    // ==========================================================================
+
+    exportPresets(presets) {
+      return JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, presets }, null, 2) + '\n';
+    },
+
+    // Presets from an exported file; throws if it isn't one
+    parsePresets(text) {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        throw new Error('Preset file is not valid JSON');
+      }
+      if (data?.format !== EXPORT_FORMAT || typeof data.presets !== 'object' || data.presets === null) {
+        throw new Error('Not a Biketerra Brunnels preset file');
+      }
+      if (data.version > EXPORT_VERSION) {
+        throw new Error(`Preset file version ${data.version} is newer than this extension supports`);
+      }
+
+      const presets = {};
+      for (const [name, options] of Object.entries(data.presets)) {
+        const clean = this.pick(this.sanitize(options), this.PRESET_KEYS);
+        if (name.trim() && Object.keys(clean).length > 0) presets[name.trim()] = clean;
+      }
+      if (Object.keys(presets).length === 0) throw new Error('Preset file contains no presets');
+      return presets;
+    },
+
+    // Adds the file's presets, replacing any with the same name; returns their names
+    async importPresets(text) {
+      const imported = this.parsePresets(text);
+      await this._savePresets({ ...await this.listPresets(), ...imported });
+      return Object.keys(imported);
+    }
+  };
+
+  // Export to global scope
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OptionStore;
+  } else {
+    global.OptionStore = OptionStore;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,594 @@
+// Biketerra Brunnels Extension - Overpass API Client
+// Queries OpenStreetMap bridges/tunnels through Overpass, with endpoint
+// failover, retries, corridor chunking and an IndexedDB cache. Shared by the
+// content script and the route import page.
+
+(function(global) {
+  'use strict';
+
+  // Loaded as a classic script in extension pages; required in Node
+  const isModule = typeof module !== 'undefined' && module.exports;
+  const BrunnelCore = isModule ? require('./brunnel-core.js') : global.BrunnelCore;
+  const { GeometryUtils } = BrunnelCore;
+
+  // ============================================================================
+  // Overpass API (adapted from brunnels-js)
+  // ============================================================================
+
+  const OverpassAPI = {
+    // Tried in order; later entries are only used when earlier ones fail
+    DEFAULT_ENDPOINTS: [
+      'https://overpass-api.de/api/interpreter',
+      'https://overpass.kumi.systems/api/interpreter',
+      'https://overpass.private.coffee/api/interpreter'
+    ],
+
+    // Retries per endpoint before failing over to the next one
+    MAX_RETRIES: 2,
+    BASE_BACKOFF_MS: 2000,
+    MAX_BACKOFF_MS: 60000,
+
+    async queryBrunnels(bounds, options = {}) {
+      const {
+        timeout = 30,
+        endpoints = this.DEFAULT_ENDPOINTS,
+        maxRetries = this.MAX_RETRIES,
+        onStatus = () => {}
+      } = options;
+      const query = this.buildOverpassQuery(bounds, timeout);
+
+      const data = await this.runQuery(query, { endpoints, maxRetries, onStatus });
+      return this.processOverpassData(data);
+    },
+
+    // Hash of the query text with placeholder bounds, so cached results are
+    // invalidated whenever buildOverpassQuery changes
+    queryVersion() {
+      const placeholder = { minLat: 0, minLon: 0, maxLat: 0, maxLon: 0 };
+      return OverpassCache.hashString(this.buildOverpassQuery(placeholder, 0));
+    },
+
+    // queryBrunnels with a lookup in OverpassCache first. The cache holds
+    // results per tile of a fixed grid (see OverpassCache.tilesFor), so chunks
+    // of different routes, or of the same route after an edit, share entries.
+    // Tiles missing or stale are fetched with one query over their combined
+    // box and stored tile by tile; the result covers every tile the bounds
+    // touch, so it may hold ways a little outside them.
+    // Options: cacheTtlHours (0 disables reading the cache), forceRefresh
+    // Expired tiles are still used if every endpoint fails
+    async queryBrunnelsCached(bounds, options = {}) {
+      const {
+        cacheTtlHours = OverpassCache.DEFAULT_TTL_HOURS,
+        forceRefresh = false,
+        onStatus = () => {}
+      } = options;
+      if (!OverpassCache.available()) {
+        return this.queryBrunnels(bounds, options);
+      }
+
+      const version = this.queryVersion();
+      const tiles = OverpassCache.tilesFor(bounds);
+      const entries = await Promise.all(tiles.map(tile => OverpassCache.get(OverpassCache.keyFor(tile, version))));
+      const ttlMs = cacheTtlHours * 3600 * 1000;
+      const isFresh = entry => entry && !forceRefresh && Date.now() - entry.timestamp < ttlMs;
+
+      const fresh = entries.filter(isFresh).map(entry => entry.data);
+      const missing = tiles.filter((tile, i) => !isFresh(entries[i]));
+      if (missing.length === 0) {
+        onStatus('Using cached OpenStreetMap data');
+        return this.mergeResults(fresh);
+      }
+
+      let data;
+      try {
+        data = await this.queryBrunnels(OverpassCache.tileBounds(missing), options);
+      } catch (error) {
+        if (!entries.every(Boolean)) throw error;
+        console.warn('Overpass query failed, using expired cache entries:', error);
+        onStatus('Overpass unavailable, using expired cached data');
+        return this.mergeResults(entries.map(entry => entry.data));
+      }
+
+      await Promise.all(missing.map(tile =>
+        OverpassCache.put(OverpassCache.keyFor(tile, version), OverpassCache.clipToTile(data, tile))
+      ));
+      return this.mergeResults([data, ...fresh]);
+    },
+
+    // Query a sequence of bounding boxes (see GeometryUtils.calculateCorridorBounds)
+    // with limited concurrency and merge the results, dropping ways that were
+    // returned by more than one chunk
+    async queryCorridor(boundsList, options = {}) {
+      const { concurrency = 2, onStatus = () => {}, ...queryOptions } = options;
+      const results = new Array(boundsList.length);
+      let nextIndex = 0;
+      let failed = false;
+
+      const worker = async () => {
+        while (!failed && nextIndex < boundsList.length) {
+          const index = nextIndex++;
+          const label = `Chunk ${index + 1} of ${boundsList.length}`;
+          try {
+            results[index] = await this.queryBrunnelsCached(boundsList[index], {
+              ...queryOptions,
+              onStatus: text => onStatus(`${label}: ${text}`)
+            });
+          } catch (error) {
+            failed = true;
+            throw error;
+          }
+        }
+      };
+
+      const workerCount = Math.max(1, Math.min(concurrency, boundsList.length));
+      await Promise.all(Array.from({ length: workerCount }, worker));
+
+      return this.mergeResults(results);
+    },
+
+    // Combine processOverpassData results, keeping the first copy of each way
+    mergeResults(results) {
+      const merged = { bridges: [], tunnels: [] };
+      const seen = { bridges: new Set(), tunnels: new Set() };
+
+      for (const result of results) {
+        for (const key of ['bridges', 'tunnels']) {
+          for (const brunnel of result[key]) {
+            if (seen[key].has(brunnel.id)) continue;
+            seen[key].add(brunnel.id);
+            merged[key].push(brunnel);
+          }
+        }
+      }
+
+      return merged;
+    },
+
+    // Post a query to each endpoint in turn, retrying transient failures
+    // with exponential backoff (or the server's Retry-After) before failing over
+    async runQuery(query, { endpoints, maxRetries, onStatus }) {
+      if (!endpoints || endpoints.length === 0) {
+        throw new Error('No Overpass endpoints configured');
+      }
+
+      const failures = [];
+
+      for (let i = 0; i < endpoints.length; i++) {
+        const endpoint = endpoints[i];
+        const host = this.endpointLabel(endpoint);
+
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+          const retryNote = attempt > 0 ? ` (retry ${attempt} of ${maxRetries})` : '';
+          onStatus(`Querying OpenStreetMap via ${host}${retryNote}...`);
+
+          const result = await this.postQuery(endpoint, query);
+          if (result.data) return result.data;
+
+          if (result.fatal) {
+            throw new Error(`Overpass API error from ${host}: ${result.error}`);
+          }
+
+          if (!result.retryable || attempt === maxRetries) {
+            failures.push(`${host}: ${result.error}`);
+            break;
+          }
+
+          const delayMs = result.retryAfterMs ?? this.backoffDelay(attempt);
+          onStatus(`${host}: ${result.error}. Waiting ${Math.ceil(delayMs / 1000)}s before retrying...`);
+          await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+
+        if (i < endpoints.length - 1) {
+          onStatus(`Switching to ${this.endpointLabel(endpoints[i + 1])}...`);
+        }
+      }
+
+      throw new Error(`Overpass API error: all endpoints failed (${failures.join('; ')})`);
+    },
+
+    // Perform a single request and classify the outcome
+    // Returns { data } on success, otherwise { error, retryable, fatal, retryAfterMs }
+    async postQuery(endpoint, query) {
+      let response;
+      try {
+        response = await fetch(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          body: `data=${encodeURIComponent(query)}`
+        });
+      } catch (error) {
+        return { error: `network error (${error.message})`, retryable: true };
+      }
+
+      if (!response.ok) {
+        const status = response.status;
+        return {
+          error: status === 429 ? 'rate limited (429)' : `HTTP ${status}`,
+          // 400 means the query itself is bad; no mirror will accept it
+          fatal: status === 400,
+          retryable: status === 429 || status === 502 || status === 503 || status === 504,
+          retryAfterMs: this.parseRetryAfter(response.headers.get('Retry-After'))
+        };
+      }
+
+      let data;
+      try {
+        data = await response.json();
+      } catch (error) {
+        // Overloaded servers sometimes answer 200 with an HTML error page
+        return { error: 'invalid JSON response', retryable: true };
+      }
+
+      // Timeouts and memory exhaustion are reported in 'remark' of a 200 response,
+      // with whatever partial data was produced before the query was aborted
+      const remarkError = this.parseRemark(data.remark);
+      if (remarkError) {
+        return { error: remarkError, retryable: true };
+      }
+
+      return { data };
+    },
+
+    // Extract a runtime error from Overpass's 'remark' field, or null if there is none
+    parseRemark(remark) {
+      if (typeof remark !== 'string') return null;
+      const match = remark.match(/runtime error:\s*(.*)/i);
+      if (!match) return null;
+
+      const message = match[1].trim();
+      if (/timed out/i.test(message)) return 'query timed out on server';
+      if (/out of memory/i.test(message)) return 'server ran out of memory';
+      return message || 'runtime error';
+    },
+
+    // Retry-After may be delay-seconds or an HTTP date; returns milliseconds or null
+    parseRetryAfter(header) {
+      if (!header) return null;
+
+      let delayMs;
+      if (/^\d+$/.test(header.trim())) {
+        delayMs = parseInt(header, 10) * 1000;
+      } else {
+        const date = Date.parse(header);
+        if (isNaN(date)) return null;
+        delayMs = date - Date.now();
+      }
+
+      return Math.min(this.MAX_BACKOFF_MS, Math.max(0, delayMs));
+    },
+
+    // Exponential backoff with a little jitter so parallel tabs don't retry in lockstep
+    backoffDelay(attempt) {
+      const delay = this.BASE_BACKOFF_MS * Math.pow(2, attempt);
+      const jitter = Math.random() * this.BASE_BACKOFF_MS / 2;
+      return Math.min(this.MAX_BACKOFF_MS, delay + jitter);
+    },
+
+    // Short name for status messages (e.g. "overpass-api.de")
+    endpointLabel(endpoint) {
+      try {
+        return new URL(endpoint).host;
+      } catch (e) {
+        return endpoint;
+      }
+    },
+
+    // Parse a user-supplied endpoint list (one URL per line), ignoring anything that isn't a URL
+    parseEndpoints(text) {
+      const endpoints = [];
+      for (const line of (text || '').split(/\s+/)) {
+        const candidate = line.trim();
+        if (!candidate) continue;
+        try {
+          const url = new URL(candidate);
+          if (url.protocol === 'https:' || url.protocol === 'http:') {
+            endpoints.push(url.href);
+          }
+        } catch (e) {
+          // Not a URL, skip it
+        }
+      }
+      return endpoints.length > 0 ? endpoints : [...this.DEFAULT_ENDPOINTS];
+    },
+
+    // Host permission patterns the endpoints need beyond the default servers,
+    // which the manifest grants up front; the rest are optional permissions
+    hostPatterns(endpoints) {
+      const granted = new Set(this.DEFAULT_ENDPOINTS.map(endpoint => new URL(endpoint).origin));
+      const patterns = new Set();
+      for (const endpoint of endpoints) {
+        const { origin } = new URL(endpoint);
+        if (!granted.has(origin)) patterns.add(`${origin}/*`);
+      }
+      return [...patterns];
+    },
+
+    buildOverpassQuery(bounds, timeout) {
+      const { minLat, minLon, maxLat, maxLon } = bounds;
+      const baseFilters = '[!waterway]["bicycle"!="no"]';
+      const activeRailwayTypes = 'rail|light_rail|subway|tram|narrow_gauge|funicular|monorail|miniature|preserved';
+      const railwayExclusion = `["railway"~"^(${activeRailwayTypes})$"]${baseFilters}(if:!is_closed());`;
+
+      return `[out:json][timeout:${timeout}][bbox:${minLat},${minLon},${maxLat},${maxLon}];
+(
+  (
+    way[bridge]${baseFilters}(if:!is_closed());
+    - way[bridge]${railwayExclusion}
+  );
+  way[bridge][highway=cycleway](if:!is_closed());
+);
+out count;
+out geom qt;
+(
+  (
+    way[tunnel]["tunnel"!="building_passage"]${baseFilters}(if:!is_closed());
+    - way[tunnel]${railwayExclusion}
+  );
+  way[tunnel]["tunnel"!="building_passage"][highway=cycleway](if:!is_closed());
+);
+out count;
+out geom qt;`;
+    },
+
+    processOverpassData(data) {
+      const brunnels = { bridges: [], tunnels: [] };
+      if (!data.elements) return brunnels;
+
+      let currentType = null;
+
+      for (const element of data.elements) {
+        if (element.type === 'count') {
+          currentType = currentType === 'bridges' ? 'tunnels' : 'bridges';
+        } else if (element.type === 'way' && element.geometry) {
+          if (element.geometry.length < 2) continue;
+
+          const validGeometry = GeometryUtils.validateGeometry(element.geometry);
+          if (!validGeometry) continue;
+
+          // Responses to other queries (e.g. saved from overpass-turbo) have no
+          // count markers, so fall back to the way's own tags
+          const type = currentType || this.typeFromTags(element.tags || {});
+          if (!type) continue;
+
+          const brunnel = {
+            id: element.id,
+            tags: element.tags || {},
+            geometry: validGeometry,
+            nodes: element.nodes || [],
+            type: type === 'bridges' ? 'bridge' : 'tunnel',
+            name: this.extractName(element.tags)
+          };
+
+          brunnels[type].push(brunnel);
+        }
+      }
+
+      return brunnels;
+    },
+
+    // 'bridges', 'tunnels' or null; tunnels win for ways tagged as both
+    typeFromTags(tags) {
+      const isSet = value => value !== undefined && value !== 'no';
+      if (isSet(tags.tunnel)) return 'tunnels';
+      if (isSet(tags.bridge)) return 'bridges';
+      return null;
+    },
+
+    extractName(tags) {
+      const nameKeys = ['name', 'name:en', 'ref', 'bridge:name', 'tunnel:name'];
+      for (const key of nameKeys) {
+        if (tags[key]) return tags[key];
+      }
+
+      const type = tags.bridge ? 'Bridge' : 'Tunnel';
+      if (tags.highway) {
+        const highway = tags.highway.charAt(0).toUpperCase() + tags.highway.slice(1);
+        return highway;
+      }
+      return type;
+    }
+  };
+
+  // ============================================================================
+  // Overpass Cache (IndexedDB)
+  // ============================================================================
+
+  // Stores processOverpassData output per tile of a fixed lat/lon grid, keyed
+  // by the tile and a hash of the query text, so that re-running the filter
+  // pipeline, or another route through the same area, doesn't re-download
+  // the same OSM data
+  const OverpassCache = {
+    DB_NAME: 'bt-brunnels-cache',
+    STORE_NAME: 'overpass',
+    DB_VERSION: 1,
+    DEFAULT_TTL_HOURS: 24,
+    MIN_PRUNE_AGE_HOURS: 7 * 24,
+
+    _dbPromise: null,
+
+    // False under Node, where results simply aren't cached
+    available() {
+      return typeof indexedDB !== 'undefined';
+    },
+
+    open() {
+      if (!this._dbPromise) {
+        this._dbPromise = new Promise((resolve, reject) => {
+          const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+          request.onupgradeneeded = () => {
+            request.result.createObjectStore(this.STORE_NAME, { keyPath: 'key' });
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        }).catch(error => {
+          this._dbPromise = null;
+          throw error;
+        });
+      }
+      return this._dbPromise;
+    },
+
+    // Run fn against the object store and resolve with the request's result
+    async _transaction(mode, fn) {
+      const db = await this.open();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(this.STORE_NAME, mode);
+        const request = fn(tx.objectStore(this.STORE_NAME));
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    },
+
+    // Grid cell size in degrees (about 1.1 km north-south)
+    TILE_DEGREES: 0.01,
+
+    // The grid tiles { row, col, minLat, minLon, maxLat, maxLon } that a
+    // bounding box touches
+    tilesFor(bounds) {
+      const size = this.TILE_DEGREES;
+      const edge = value => Math.round(value * 1e7) / 1e7;
+      const first = value => Math.floor(value / size);
+      // A box ending exactly on a grid line doesn't touch the next tile
+      const last = value => Math.ceil(value / size) - 1;
+
+      const minRow = first(bounds.minLat);
+      const minCol = first(bounds.minLon);
+      const maxRow = Math.max(minRow, last(bounds.maxLat));
+      const maxCol = Math.max(minCol, last(bounds.maxLon));
+
+      const tiles = [];
+      for (let row = minRow; row <= maxRow; row++) {
+        for (let col = minCol; col <= maxCol; col++) {
+          tiles.push({
+            row,
+            col,
+            minLat: edge(row * size),
+            minLon: edge(col * size),
+            maxLat: edge((row + 1) * size),
+            maxLon: edge((col + 1) * size)
+          });
+        }
+      }
+      return tiles;
+    },
+
+    // Bounding box around a set of tiles
+    tileBounds(tiles) {
+      return {
+        minLat: Math.min(...tiles.map(t => t.minLat)),
+        minLon: Math.min(...tiles.map(t => t.minLon)),
+        maxLat: Math.max(...tiles.map(t => t.maxLat)),
+        maxLon: Math.max(...tiles.map(t => t.maxLon))
+      };
+    },
+
+    // The part of a processOverpassData result to store for one tile: ways
+    // whose extent overlaps it. Ways crossing tile edges are stored in each
+    // tile they reach; mergeResults drops the copies.
+    clipToTile(data, tile) {
+      const overlaps = way => {
+        const lats = way.geometry.map(c => c.lat);
+        const lons = way.geometry.map(c => c.lon);
+        return Math.min(...lats) <= tile.maxLat && Math.max(...lats) >= tile.minLat &&
+          Math.min(...lons) <= tile.maxLon && Math.max(...lons) >= tile.minLon;
+      };
+      return { bridges: data.bridges.filter(overlaps), tunnels: data.tunnels.filter(overlaps) };
+    },
+
+    keyFor(tile, queryVersion) {
+      return `tile:${this.TILE_DEGREES}:${tile.row},${tile.col}|${queryVersion}`;
+    },
+
+    // 32-bit FNV-1a hash, as a hex string
+    hashString(text) {
+      let hash = 0x811c9dc5;
+      for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      return (hash >>> 0).toString(16).padStart(8, '0');
+    },
+
+    // Cache failures are never fatal: a miss just means querying Overpass
+    async get(key) {
+      try {
+        return await this._transaction('readonly', store => store.get(key)) || null;
+      } catch (error) {
+        console.warn('Overpass cache read failed:', error);
+        return null;
+      }
+    },
+
+    async put(key, data) {
+      try {
+        await this._transaction('readwrite', store => store.put({
+          key,
+          data,
+          timestamp: Date.now(),
+          size: JSON.stringify(data).length
+        }));
+      } catch (error) {
+        console.warn('Overpass cache write failed:', error);
+      }
+    },
+
+    // Delete entries older than twice the cache lifetime, but never younger
+    // than MIN_PRUNE_AGE_HOURS: a lifetime of 0 only stops reads, and the
+    // entries are still wanted as a fallback when Overpass is down
+    async prune(cacheTtlHours = this.DEFAULT_TTL_HOURS) {
+      if (!this.available()) return;
+      try {
+        const maxAgeHours = Math.max(this.MIN_PRUNE_AGE_HOURS, 2 * cacheTtlHours);
+        const cutoff = Date.now() - maxAgeHours * 3600 * 1000;
+        await this._transaction('readwrite', store => {
+          const request = store.openCursor();
+          request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            if (cursor.value.timestamp < cutoff) cursor.delete();
+            cursor.continue();
+          };
+          return null;
+        });
+      } catch (error) {
+        console.warn('Overpass cache prune failed:', error);
+      }
+    },
+
+    async clear() {
+      await this._transaction('readwrite', store => store.clear());
+    },
+
+    // Returns { entries, bytes } (bytes is the approximate JSON size of the cached data)
+    async stats() {
+      const stats = { entries: 0, bytes: 0 };
+      try {
+        await this._transaction('readonly', store => {
+          const request = store.openCursor();
+          request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            stats.entries++;
+            stats.bytes += cursor.value.size || 0;
+            cursor.continue();
+          };
+          return null;
+        });
+      } catch (error) {
+        console.warn('Overpass cache stats failed:', error);
+      }
+      return stats;
+    }
+  };
+
+  const Overpass = { OverpassAPI, OverpassCache };
+
+  // Export to global scope
+  if (isModule) {
+    module.exports = Overpass;
+  } else {
+    global.Overpass = Overpass;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : typeof self !== 'undefined' ? self : this);
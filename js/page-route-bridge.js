@@ -0,0 +1,125 @@
+// Biketerra Brunnels Extension - Page Route Bridge
+// Runs in the page's main world (content scripts can't see the editor's own
+// requests). Keeps the most recent JSON payloads the editor sends or receives
+// from biketerra.com that could hold a route, so the content script can read
+// the in-editor route of unsaved or edited routes. Parsing the route happens
+// on the content script side.
+
+(function() {
+  'use strict';
+
+  if (window.__btBrunnelsRouteBridge) return;
+  window.__btBrunnelsRouteBridge = true;
+
+  const CHANNEL = 'bt-brunnels-route-bridge';
+  const MAX_CAPTURES = 8;
+  const MAX_PAYLOAD_CHARS = 20 * 1024 * 1024;
+  // SvelteKit __data.json payloads have nodes; the editor keeps the route
+  // under editableRoute or simple_route. Nothing else is parsed or kept
+  const ROUTE_TEXT = /"(nodes|editableRoute|simple_route)"/;
+  const ROUTE_KEYS = ['nodes', 'editableRoute', 'simple_route'];
+
+  const captures = [];
+
+  function isBiketerraUrl(url) {
+    try {
+      return new URL(url, window.location.href).origin === window.location.origin;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function capture(url, direction, text) {
+    if (typeof text !== 'string' || text.length < 2 || text.length > MAX_PAYLOAD_CHARS) return;
+    if (text[0] !== '{' && text[0] !== '[') return;
+    if (!ROUTE_TEXT.test(text)) return;
+
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch (e) {
+      return;
+    }
+
+    keep(url, direction, payload);
+  }
+
+  function keep(url, direction, payload) {
+    captures.push({ url: String(url), direction, capturedAt: Date.now(), payload });
+    if (captures.length > MAX_CAPTURES) captures.shift();
+  }
+
+  // For responses the browser already parsed: a route key near the top
+  function hasRouteKey(value, depth) {
+    if (depth > 2 || value === null || typeof value !== 'object') return false;
+    if (!Array.isArray(value) && ROUTE_KEYS.some(key => key in value)) return true;
+    return Object.values(value).some(child => hasRouteKey(child, depth + 1));
+  }
+
+  // ============================================================================
+  // fetch
+  // ============================================================================
+
+  const originalFetch = window.fetch;
+  window.fetch = async function(input, init) {
+    const url = input instanceof Request ? input.url : String(input);
+    const response = await originalFetch.apply(this, arguments);
+
+    if (url && isBiketerraUrl(url)) {
+      if (typeof init?.body === 'string') capture(url, 'request', init.body);
+
+      const type = response.headers.get('content-type') || '';
+      if (type.includes('json')) {
+        response.clone().text()
+          .then(text => capture(url, 'response', text))
+          .catch(() => {});
+      }
+    }
+
+    return response;
+  };
+
+  // ============================================================================
+  // XMLHttpRequest
+  // ============================================================================
+
+  const originalOpen = XMLHttpRequest.prototype.open;
+  const originalSend = XMLHttpRequest.prototype.send;
+
+  XMLHttpRequest.prototype.open = function(method, url) {
+    this.__btUrl = String(url);
+    return originalOpen.apply(this, arguments);
+  };
+
+  XMLHttpRequest.prototype.send = function(body) {
+    const url = this.__btUrl;
+    if (url && isBiketerraUrl(url)) {
+      if (typeof body === 'string') capture(url, 'request', body);
+
+      this.addEventListener('load', () => {
+        if (this.responseType === '' || this.responseType === 'text') {
+          capture(url, 'response', this.responseText);
+        } else if (this.responseType === 'json' && hasRouteKey(this.response, 0)) {
+          keep(url, 'response', this.response);
+        }
+      });
+    }
+    return originalSend.apply(this, arguments);
+  };
+
+  // ============================================================================
+  // Content script channel
+  // ============================================================================
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || event.data?.channel !== CHANNEL) return;
+    if (event.data.type !== 'getCaptures') return;
+
+    window.postMessage({
+      channel: CHANNEL,
+      type: 'captures',
+      requestId: event.data.requestId,
+      captures: captures.slice().reverse() // newest first
+    }, window.location.origin);
+  });
+})();
@@ -0,0 +1,47 @@
+// Biketerra Brunnels Extension - Endpoint Permissions Page
+// Asks for the host permissions custom Overpass endpoints need. The panel
+// can't ask itself: chrome.permissions.request only works from an extension
+// page, in response to a click
+
+const origins = (new URLSearchParams(window.location.search).get('origins') || '')
+  .split(' ')
+  .filter(Boolean);
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const list = document.getElementById('origins');
+  for (const origin of origins) {
+    const item = document.createElement('li');
+    item.textContent = origin.replace(/\/\*$/, '');
+    list.appendChild(item);
+  }
+
+  const allowBtn = document.getElementById('allowBtn');
+  allowBtn.addEventListener('click', requestAccess);
+
+  if (origins.length === 0 || await chrome.permissions.contains({ origins })) {
+    showGranted();
+  }
+});
+
+function updateStatus(text, type = '') {
+  const status = document.getElementById('status');
+  status.textContent = text;
+  status.className = 'bt-brunnels-status' + (type ? ' ' + type : '');
+}
+
+function showGranted() {
+  document.getElementById('allowBtn').disabled = true;
+  updateStatus('The extension can reach these servers. You can close this tab and go back to the editor.', 'success');
+}
+
+async function requestAccess() {
+  try {
+    if (await chrome.permissions.request({ origins })) {
+      showGranted();
+    } else {
+      updateStatus('Access was not granted. Click Allow to ask again.', 'error');
+    }
+  } catch (error) {
+    updateStatus(`Error: ${error.message}`, 'error');
+  }
+}
@@ -12,6 +12,19 @@ let locatedBrunnels = [];
 let appliedBrunnelIds = new Set();
 let totalDistance = 0;
 
+// Saved options (see js/option-store.js) for the active tab's route, and
+// whether they are that route's own override
+let storedOptions = { ...OptionStore.DEFAULTS };
+let routeId = null;
+let hasRouteOverride = false;
+
+// Popup inputs for the saved options they show
+const POPUP_OPTION_INPUTS = {
+  queryBuffer: 'queryBuffer',
+  routeBuffer: 'routeBuffer',
+  bearingTolerance: 'bearingTolerance'
+};
+
 document.addEventListener('DOMContentLoaded', () => {
   const locateBtn = document.getElementById('locateBtn');
   const applyBtn = document.getElementById('applyBtn');
@@ -22,6 +35,10 @@ document.addEventListener('DOMContentLoaded', () => {
   locateBtn.addEventListener('click', locateBrunnels);
   applyBtn.addEventListener('click', applyAllBrunnels);
 
+  for (const id of Object.values(POPUP_OPTION_INPUTS)) {
+    document.getElementById(id).addEventListener('change', saveOptions);
+  }
+
   // Listen for progress updates from content script
   chrome.runtime.onMessage.addListener((message) => {
     if (message.action === 'progress') {
@@ -30,7 +47,7 @@ document.addEventListener('DOMContentLoaded', () => {
   });
 
   // Check if we're on a Biketerra editor page
-  checkBiketerraPage();
+  checkBiketerraPage().then(loadOptions);
 });
 
 async function checkBiketerraPage() {
@@ -38,10 +55,51 @@ async function checkBiketerraPage() {
   const statusDiv = document.getElementById('status');
   const locateBtn = document.getElementById('locateBtn');
 
-  if (!tab.url || !tab.url.includes('biketerra.com/routes/new')) {
+  if (!tab.url || !BiketerraPages.isEditorUrl(tab.url)) {
     statusDiv.textContent = 'Please open a route in the Biketerra editor.';
     statusDiv.className = 'status error';
     locateBtn.disabled = true;
+    return;
+  }
+
+  routeId = BiketerraPages.getRouteId(tab.url);
+}
+
+async function loadOptions() {
+  try {
+    const { options, override } = await OptionStore.load(routeId);
+    storedOptions = options;
+    hasRouteOverride = override !== null;
+
+    for (const [key, id] of Object.entries(POPUP_OPTION_INPUTS)) {
+      document.getElementById(id).value = options[key];
+    }
+  } catch (error) {
+    console.warn('Could not load saved options:', error);
+  }
+}
+
+// Read the popup's inputs into the saved options, keeping the ones it doesn't show
+function readOptions() {
+  const options = { ...storedOptions };
+  for (const [key, id] of Object.entries(POPUP_OPTION_INPUTS)) {
+    const value = parseFloat(document.getElementById(id).value);
+    if (Number.isFinite(value) && value >= 0) options[key] = value;
+  }
+  return options;
+}
+
+// Same place the panel saves to: the route's override if it has one
+async function saveOptions() {
+  storedOptions = readOptions();
+  try {
+    if (routeId && hasRouteOverride) {
+      await OptionStore.saveRouteOverride(routeId, storedOptions);
+    } else {
+      await OptionStore.save(storedOptions);
+    }
+  } catch (error) {
+    console.warn('Could not save options:', error);
   }
 }
 
@@ -50,9 +108,10 @@ async function locateBrunnels() {
   const progressDiv = document.getElementById('progress');
   const locateBtn = document.getElementById('locateBtn');
 
-  const queryBuffer = parseInt(document.getElementById('queryBuffer').value) || 10;
-  const routeBuffer = parseInt(document.getElementById('routeBuffer').value) || 3;
-  const bearingTolerance = parseInt(document.getElementById('bearingTolerance').value) || 20;
+  // endpoints: null means the built-in list, which the content script
+  // uses when none are given
+  const { endpoints, ...options } = readOptions();
+  if (endpoints) options.endpoints = endpoints;
 
   statusDiv.textContent = 'Locating brunnels...';
   statusDiv.className = 'status';
@@ -66,7 +125,7 @@ async function locateBrunnels() {
     // Send message to content script to locate brunnels
     const response = await chrome.tabs.sendMessage(tab.id, {
       action: 'locateBrunnels',
-      options: { queryBuffer, routeBuffer, bearingTolerance }
+      options
     });
 
     if (response.error) {
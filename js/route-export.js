@@ -0,0 +1,245 @@
+// Biketerra Brunnels Extension - Route Export
+// Serializes a route (as built by BrunnelCore.buildRoute) and its located
+// brunnels for use in other tools. Pure string building, so it runs in the
+// page, a worker or Node alike.
+
+(function(global) {
+  'use strict';
+
+  const CREATOR = 'Biketerra Brunnels';
+  const GPX_EXTENSION_NS = 'https://github.com/jsmattsonjr/bt-brunnels/gpx/1';
+
+  // ============================================================================
+  // Helper Functions
+  // ============================================================================
+
+  function escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  // Position on the route at a distance in meters, interpolated between the
+  // surrounding points
+  function pointAtDistance(coordinates, meters) {
+    if (meters <= coordinates[0].distance) return coordinates[0];
+
+    for (let i = 1; i < coordinates.length; i++) {
+      const prev = coordinates[i - 1];
+      const next = coordinates[i];
+      if (meters > next.distance) continue;
+
+      const span = next.distance - prev.distance;
+      const t = span > 0 ? (meters - prev.distance) / span : 0;
+      const lerp = (a, b) => (typeof a === 'number' && typeof b === 'number') ? a + t * (b - a) : null;
+      return {
+        lat: lerp(prev.lat, next.lat),
+        lon: lerp(prev.lon, next.lon),
+        elevation: lerp(prev.elevation, next.elevation),
+        distance: meters
+      };
+    }
+
+    return coordinates[coordinates.length - 1];
+  }
+
+  function formatCoord(value) {
+    return value.toFixed(7);
+  }
+
+  function pushEle(lines, elevation, indent) {
+    if (typeof elevation === 'number') lines.push(`${indent}<ele>${elevation.toFixed(1)}</ele>`);
+  }
+
+  // ============================================================================
+  // GPX
+  // ============================================================================
+
+  // GPX 1.1 with the route as a track (elevation, and distance in meters as a
+  // point extension) and a start/end waypoint pair per brunnel carrying its
+  // OSM id, type, name and span (km) in the bt: extension namespace
+  function toGpx(route, brunnels = [], options = {}) {
+    const { name = 'Biketerra route', time = new Date() } = options;
+    const lines = [];
+
+    lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+    lines.push(`<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1" xmlns:bt="${GPX_EXTENSION_NS}">`);
+    lines.push('  <metadata>');
+    lines.push(`    <name>${escapeXml(name)}</name>`);
+    lines.push(`    <time>${time.toISOString()}</time>`);
+    lines.push('  </metadata>');
+
+    const sorted = [...brunnels].sort((a, b) => a.startDistance - b.startDistance);
+    for (const brunnel of sorted) {
+      for (const end of ['start', 'end']) {
+        const km = end === 'start' ? brunnel.startDistance : brunnel.endDistance;
+        const point = pointAtDistance(route.coordinates, km * 1000);
+
+        lines.push(`  <wpt lat="${formatCoord(point.lat)}" lon="${formatCoord(point.lon)}">`);
+        pushEle(lines, point.elevation, '    ');
+        lines.push(`    <name>${escapeXml(`${brunnel.name} (${end})`)}</name>`);
+        lines.push(`    <type>${brunnel.type}</type>`);
+        lines.push('    <extensions>');
+        lines.push('      <bt:brunnel>');
+        lines.push(`        <bt:id>${escapeXml(brunnel.id)}</bt:id>`);
+        if (brunnel.osmId !== undefined) lines.push(`        <bt:osmId>${brunnel.osmId}</bt:osmId>`);
+        lines.push(`        <bt:type>${brunnel.type}</bt:type>`);
+        lines.push(`        <bt:name>${escapeXml(brunnel.name)}</bt:name>`);
+        lines.push(`        <bt:end>${end}</bt:end>`);
+        lines.push(`        <bt:startDistance>${brunnel.startDistance.toFixed(4)}</bt:startDistance>`);
+        lines.push(`        <bt:endDistance>${brunnel.endDistance.toFixed(4)}</bt:endDistance>`);
+        lines.push('      </bt:brunnel>');
+        lines.push('    </extensions>');
+        lines.push('  </wpt>');
+      }
+    }
+
+    lines.push('  <trk>');
+    lines.push(`    <name>${escapeXml(name)}</name>`);
+    lines.push('    <trkseg>');
+    for (const coord of route.coordinates) {
+      lines.push(`      <trkpt lat="${formatCoord(coord.lat)}" lon="${formatCoord(coord.lon)}">`);
+      pushEle(lines, coord.elevation, '        ');
+      lines.push(`        <extensions><bt:distance>${coord.distance.toFixed(1)}</bt:distance></extensions>`);
+      lines.push('      </trkpt>');
+    }
+    lines.push('    </trkseg>');
+    lines.push('  </trk>');
+    lines.push('</gpx>');
+
+    return lines.join('\n') + '\n';
+  }
+
+  // ============================================================================
+  // GeoJSON
+  // ============================================================================
+
+  function boundsPolygon(bounds) {
+    const { minLat, minLon, maxLat, maxLon } = bounds;
+    return {
+      type: 'Polygon',
+      coordinates: [[
+        [minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]
+      ]]
+    };
+  }
+
+  // FeatureCollection for inspecting the filters in geojson.io or QGIS: the
+  // route, every OSM candidate way (one feature per pass of the route, with
+  // its filter outcome) and the Overpass query boxes. Features carry a `kind`
+  // of 'route', 'candidate' or 'queryBounds'.
+  // candidates are analyzeCandidates' result.candidates (null before analysis)
+  function toGeoJson(route, overpassData, candidates = null, queryBounds = []) {
+    const features = [];
+
+    features.push({
+      type: 'Feature',
+      properties: {
+        kind: 'route',
+        totalDistance: route.totalDistance
+      },
+      geometry: route.turfLineString.geometry
+    });
+
+    const passesByWay = new Map();
+    for (const candidate of candidates || []) {
+      if (!passesByWay.has(candidate.osmId)) passesByWay.set(candidate.osmId, []);
+      passesByWay.get(candidate.osmId).push(candidate);
+    }
+
+    for (const way of [...overpassData.bridges, ...overpassData.tunnels]) {
+      const geometry = {
+        type: 'LineString',
+        coordinates: way.geometry.map(c => [c.lon, c.lat])
+      };
+      const passes = passesByWay.get(way.id) || [null];
+
+      for (const pass of passes) {
+        features.push({
+          type: 'Feature',
+          id: pass ? String(pass.id) : String(way.id),
+          properties: {
+            kind: 'candidate',
+            osmId: way.id,
+            type: way.type,
+            name: way.name,
+            tags: way.tags,
+            pass: pass?.pass ?? null,
+            passCount: pass?.passCount ?? null,
+            included: pass ? !pass.exclusionReason : null,
+            exclusionReason: pass?.exclusionReason ?? null,
+            forced: pass?.forced ?? false,
+            routeSpan: pass?.routeSpan ?? null
+          },
+          geometry
+        });
+      }
+    }
+
+    queryBounds.forEach((bounds, index) => {
+      features.push({
+        type: 'Feature',
+        properties: { kind: 'queryBounds', chunk: index + 1, ...bounds },
+        geometry: boundsPolygon(bounds)
+      });
+    });
+
+    return { type: 'FeatureCollection', features };
+  }
+
+  // ============================================================================
+  // CSV
+  // ============================================================================
+
+  const CSV_COLUMNS = [
+    'id', 'osm_id', 'type', 'name', 'start_km', 'end_km', 'length_m', 'pass', 'pass_count',
+    'dip_m', 'hump_m', 'start_grade_change', 'end_grade_change', 'terrain_flag'
+  ];
+
+  function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // One row per located brunnel, sorted along the route
+  function toCsv(brunnels) {
+    const rows = [...brunnels]
+      .sort((a, b) => a.startDistance - b.startDistance)
+      .map(b => [
+        b.id,
+        b.osmId,
+        b.type,
+        b.name,
+        b.startDistance.toFixed(4),
+        b.endDistance.toFixed(4),
+        ((b.endDistance - b.startDistance) * 1000).toFixed(1),
+        b.pass,
+        b.passCount,
+        b.terrain?.dipMeters,
+        b.terrain?.humpMeters,
+        b.terrain?.startGradeChange,
+        b.terrain?.endGradeChange,
+        b.terrain?.flag
+      ].map(csvField).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+
+  const RouteExport = {
+    pointAtDistance,
+    toGpx,
+    toGeoJson,
+    toCsv
+  };
+
+  // Export to global scope
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RouteExport;
+  } else {
+    global.RouteExport = RouteExport;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,286 @@
+// Biketerra Brunnels Extension - Route Import
+// Parses GPX, TCX and FIT route files into the [lat, lon, elevation, distance]
+// points Biketerra's editableRoute carries, so files can be analyzed before
+// they're uploaded. No DOM dependencies, so it also runs in Node.
+
+(function(global) {
+  'use strict';
+
+  // Loaded as a classic script in extension pages; required in Node
+  const isModule = typeof module !== 'undefined' && module.exports;
+  const turf = isModule ? require('./turf-csp.js') : global.turf;
+
+  // ============================================================================
+  // Helper Functions
+  // ============================================================================
+
+  function decodeXmlText(text) {
+    return text
+      .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&')
+      .trim();
+  }
+
+  // Text of the first <tag> in xml, ignoring any namespace prefix
+  function tagText(xml, tag) {
+    const match = xml.match(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`));
+    return match ? decodeXmlText(match[1]) : null;
+  }
+
+  function tagNumber(xml, tag) {
+    const text = tagText(xml, tag);
+    const value = text === null ? NaN : parseFloat(text);
+    return Number.isFinite(value) ? value : null;
+  }
+
+  function attrNumber(attrs, name) {
+    const match = attrs.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)["']`));
+    const value = match ? parseFloat(match[1]) : NaN;
+    return Number.isFinite(value) ? value : null;
+  }
+
+  // ============================================================================
+  // Distances
+  // ============================================================================
+
+  // [[lat, lon, elevation]] -> [[lat, lon, elevation, distance]], with the
+  // cumulative haversine distance in meters that editableRoute points carry.
+  // Imported files' own distance fields are ignored so every source agrees.
+  function toRoutePoints(points) {
+    let distance = 0;
+    return points.map((p, i) => {
+      if (i > 0) {
+        const prev = points[i - 1];
+        distance += turf.distance([prev[1], prev[0]], [p[1], p[0]], { units: 'meters' });
+      }
+      return [p[0], p[1], p[2] ?? null, distance];
+    });
+  }
+
+  // ============================================================================
+  // GPX
+  // ============================================================================
+
+  // Track points, or route points when the file has no track
+  function parseGpx(text) {
+    const points = {};
+
+    for (const tag of ['trkpt', 'rtept']) {
+      const pattern = new RegExp(`<${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${tag}>)`, 'g');
+      points[tag] = [];
+      for (const match of text.matchAll(pattern)) {
+        const lat = attrNumber(match[1], 'lat');
+        const lon = attrNumber(match[1], 'lon');
+        if (lat === null || lon === null) continue;
+        points[tag].push([lat, lon, match[2] ? tagNumber(match[2], 'ele') : null]);
+      }
+    }
+
+    const trk = text.match(/<trk\b[\s\S]*?<\/trk>/);
+    const name = (trk && tagText(trk[0].replace(/<trkseg[\s\S]*$/, ''), 'name')) ||
+      tagText(text.replace(/<(trk|rte|wpt)\b[\s\S]*$/, ''), 'name');
+
+    return {
+      name,
+      points: points.trkpt.length >= 2 ? points.trkpt : points.rtept
+    };
+  }
+
+  // ============================================================================
+  // TCX
+  // ============================================================================
+
+  function parseTcx(text) {
+    const points = [];
+
+    for (const match of text.matchAll(/<Trackpoint\b[^>]*>([\s\S]*?)<\/Trackpoint>/g)) {
+      const body = match[1];
+      const lat = tagNumber(body, 'LatitudeDegrees');
+      const lon = tagNumber(body, 'LongitudeDegrees');
+      // Trackpoints without a position (e.g. paused) carry no geometry
+      if (lat === null || lon === null) continue;
+      points.push([lat, lon, tagNumber(body, 'AltitudeMeters')]);
+    }
+
+    return {
+      name: tagText(text, 'Name') || tagText(text, 'Id'),
+      points
+    };
+  }
+
+  // ============================================================================
+  // FIT
+  // ============================================================================
+
+  const FIT_RECORD_MESSAGE = 20;
+  const FIT_FIELDS = {
+    positionLat: 0,
+    positionLong: 1,
+    altitude: 2,
+    enhancedAltitude: 78
+  };
+  const SEMICIRCLES_TO_DEGREES = 180 / 2147483648;
+
+  // Read one field value, or null when it holds the base type's invalid value
+  function readFitValue(view, offset, size, baseType, littleEndian) {
+    switch (baseType & 0x1f) {
+      case 0x05: { // sint32
+        if (size < 4) return null;
+        const value = view.getInt32(offset, littleEndian);
+        return value === 0x7fffffff ? null : value;
+      }
+      case 0x04: { // uint16
+        if (size < 2) return null;
+        const value = view.getUint16(offset, littleEndian);
+        return value === 0xffff ? null : value;
+      }
+      case 0x06: { // uint32
+        if (size < 4) return null;
+        const value = view.getUint32(offset, littleEndian);
+        return value === 0xffffffff ? null : value;
+      }
+      default:
+        return null;
+    }
+  }
+
+  // Record messages (position, altitude) from an activity or course FIT file
+  function parseFit(buffer) {
+    const view = new DataView(buffer);
+    if (view.byteLength < 12) throw new Error('FIT file is too short');
+
+    const headerSize = view.getUint8(0);
+    const dataSize = view.getUint32(4, true);
+    const signature = String.fromCharCode(
+      view.getUint8(8), view.getUint8(9), view.getUint8(10), view.getUint8(11)
+    );
+    if (signature !== '.FIT') throw new Error('Not a FIT file');
+
+    const end = Math.min(view.byteLength, headerSize + dataSize);
+    const definitions = new Map();
+    const points = [];
+    let offset = headerSize;
+
+    while (offset < end) {
+      const header = view.getUint8(offset++);
+
+      // Compressed timestamp header: data message for local type in bits 5-6
+      const compressed = (header & 0x80) !== 0;
+      const localType = compressed ? (header >> 5) & 0x03 : header & 0x0f;
+
+      if (!compressed && (header & 0x40)) {
+        const hasDeveloperData = (header & 0x20) !== 0;
+        const littleEndian = view.getUint8(offset + 1) === 0;
+        const globalMessage = view.getUint16(offset + 2, littleEndian);
+        const fieldCount = view.getUint8(offset + 4);
+        offset += 5;
+
+        const fields = [];
+        for (let i = 0; i < fieldCount; i++) {
+          fields.push({
+            number: view.getUint8(offset),
+            size: view.getUint8(offset + 1),
+            baseType: view.getUint8(offset + 2)
+          });
+          offset += 3;
+        }
+
+        let developerSize = 0;
+        if (hasDeveloperData) {
+          const developerCount = view.getUint8(offset++);
+          for (let i = 0; i < developerCount; i++) {
+            developerSize += view.getUint8(offset + 1);
+            offset += 3;
+          }
+        }
+
+        definitions.set(localType, { littleEndian, globalMessage, fields, developerSize });
+        continue;
+      }
+
+      const definition = definitions.get(localType);
+      if (!definition) throw new Error('FIT data message without a definition');
+
+      const values = {};
+      for (const field of definition.fields) {
+        if (definition.globalMessage === FIT_RECORD_MESSAGE) {
+          values[field.number] = readFitValue(view, offset, field.size, field.baseType, definition.littleEndian);
+        }
+        offset += field.size;
+      }
+      offset += definition.developerSize;
+
+      if (definition.globalMessage !== FIT_RECORD_MESSAGE) continue;
+
+      const lat = values[FIT_FIELDS.positionLat];
+      const lon = values[FIT_FIELDS.positionLong];
+      if (lat === null || lat === undefined || lon === null || lon === undefined) continue;
+
+      // Both altitudes are stored as (meters + 500) * 5
+      const rawAltitude = values[FIT_FIELDS.enhancedAltitude] ?? values[FIT_FIELDS.altitude] ?? null;
+      points.push([
+        lat * SEMICIRCLES_TO_DEGREES,
+        lon * SEMICIRCLES_TO_DEGREES,
+        rawAltitude === null ? null : rawAltitude / 5 - 500
+      ]);
+    }
+
+    return { name: null, points };
+  }
+
+  // ============================================================================
+  // Entry Point
+  // ============================================================================
+
+  const FORMATS = ['gpx', 'tcx', 'fit'];
+
+  function detectFormat(filename) {
+    const extension = (filename.split('.').pop() || '').toLowerCase();
+    return FORMATS.includes(extension) ? extension : null;
+  }
+
+  // Parse a route file. data is the file's text for GPX/TCX and an ArrayBuffer
+  // for FIT. Returns { name, format, routePoints }.
+  function parseFile(filename, data) {
+    const format = detectFormat(filename);
+    if (!format) {
+      throw new Error(`Unsupported file type: ${filename}. Use a GPX, TCX or FIT file.`);
+    }
+
+    const parsed = format === 'gpx' ? parseGpx(data)
+      : format === 'tcx' ? parseTcx(data)
+      : parseFit(data);
+
+    if (parsed.points.length < 2) {
+      throw new Error(`No route found in ${filename}`);
+    }
+
+    return {
+      name: parsed.name || filename.replace(/\.[^.]+$/, ''),
+      format,
+      routePoints: toRoutePoints(parsed.points)
+    };
+  }
+
+  const RouteImport = {
+    FORMATS,
+    detectFormat,
+    parseFile,
+    parseGpx,
+    parseTcx,
+    parseFit,
+    toRoutePoints
+  };
+
+  // Export to global scope
+  if (isModule) {
+    module.exports = RouteImport;
+  } else {
+    global.RouteImport = RouteImport;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : typeof self !== 'undefined' ? self : this);
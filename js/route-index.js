@@ -0,0 +1,245 @@
+// Spatial index over route segments for fast nearest-point projection
+// Built once per route; replaces per-point turf.nearestPointOnLine calls, which
+// walk every route segment with a haversine per segment
+
+(function(global) {
+  'use strict';
+
+  const EARTH_RADIUS = 6371008.8; // meters, as in turf-csp
+  const METERS_PER_DEGREE = EARTH_RADIUS * Math.PI / 180;
+
+  // ============================================================================
+  // Helper Functions
+  // ============================================================================
+
+  // Haversine distance in meters between [lon, lat] pairs, matching turf.distance
+  function haversineMeters(from, to) {
+    const toRad = Math.PI / 180;
+    const dLat = (to[1] - from[1]) * toRad;
+    const dLon = (to[0] - from[0]) * toRad;
+    const lat1 = from[1] * toRad;
+    const lat2 = to[1] * toRad;
+
+    const a = Math.pow(Math.sin(dLat / 2), 2) +
+              Math.pow(Math.sin(dLon / 2), 2) * Math.cos(lat1) * Math.cos(lat2);
+    return 2 * EARTH_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  // Closest point on segment start-end to pt, computed in degree space exactly
+  // as turf-csp's nearestPointOnLine does, so results are interchangeable
+  function pointOnSegment(start, end, pt) {
+    const dx = end[0] - start[0];
+    const dy = end[1] - start[1];
+    const lengthSq = dx * dx + dy * dy;
+
+    if (lengthSq === 0) {
+      return { point: start, t: 0 };
+    }
+
+    let t = ((pt[0] - start[0]) * dx + (pt[1] - start[1]) * dy) / lengthSq;
+    t = Math.max(0, Math.min(1, t));
+
+    return {
+      point: [start[0] + t * dx, start[1] + t * dy],
+      t: t
+    };
+  }
+
+  // ============================================================================
+  // RouteIndex
+  // ============================================================================
+
+  class RouteIndex {
+    // coordinates: [{ lat, lon, distance }, ...] as produced by parseRouteData
+    constructor(coordinates, options = {}) {
+      const { cellSize = 50 } = options;
+
+      this.coordinates = coordinates;
+      this.cellSize = cellSize;
+      this.lonLat = coordinates.map(c => [c.lon, c.lat]);
+
+      // Local planar projection in meters. Longitude is scaled by the smallest
+      // cosine over the route so projected distances never exceed true ones,
+      // which keeps the grid search's early exit safe
+      let maxAbsLat = 0;
+      for (const c of coordinates) maxAbsLat = Math.max(maxAbsLat, Math.abs(c.lat));
+      this.kx = METERS_PER_DEGREE * Math.cos(maxAbsLat * Math.PI / 180);
+      this.ky = METERS_PER_DEGREE;
+      this.points = coordinates.map(c => this.project(c.lon, c.lat));
+
+      // Cumulative haversine distance (km) at each point, i.e. turf's 'location'
+      this.turfCumulative = new Float64Array(coordinates.length);
+      for (let i = 1; i < coordinates.length; i++) {
+        this.turfCumulative[i] = this.turfCumulative[i - 1] +
+          haversineMeters(this.lonLat[i - 1], this.lonLat[i]) / 1000;
+      }
+
+      this._buildGrid();
+
+      // Per-query visit stamps so segments spanning several cells are evaluated once
+      this._visited = new Uint32Array(Math.max(0, coordinates.length - 1));
+      this._stamp = 0;
+    }
+
+    project(lon, lat) {
+      return [lon * this.kx, lat * this.ky];
+    }
+
+    get segmentCount() {
+      return Math.max(0, this.points.length - 1);
+    }
+
+    _buildGrid() {
+      let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+      for (const [x, y] of this.points) {
+        minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+      }
+
+      this.minGx = Math.floor(minX / this.cellSize);
+      this.minGy = Math.floor(minY / this.cellSize);
+      this.maxGx = Math.floor(maxX / this.cellSize);
+      this.maxGy = Math.floor(maxY / this.cellSize);
+      this.cells = new Map();
+
+      for (let i = 0; i < this.segmentCount; i++) {
+        const a = this.points[i];
+        const b = this.points[i + 1];
+        const gx0 = Math.floor(Math.min(a[0], b[0]) / this.cellSize);
+        const gx1 = Math.floor(Math.max(a[0], b[0]) / this.cellSize);
+        const gy0 = Math.floor(Math.min(a[1], b[1]) / this.cellSize);
+        const gy1 = Math.floor(Math.max(a[1], b[1]) / this.cellSize);
+
+        for (let gx = gx0; gx <= gx1; gx++) {
+          for (let gy = gy0; gy <= gy1; gy++) {
+            const key = this._cellKey(gx, gy);
+            let cell = this.cells.get(key);
+            if (!cell) {
+              cell = [];
+              this.cells.set(key, cell);
+            }
+            cell.push(i);
+          }
+        }
+      }
+    }
+
+    _cellKey(gx, gy) {
+      return (gx - this.minGx) * (this.maxGy - this.minGy + 1) + (gy - this.minGy);
+    }
+
+    _nextStamp() {
+      this._stamp++;
+      if (this._stamp === 0xffffffff) {
+        this._visited.fill(0);
+        this._stamp = 1;
+      }
+      return this._stamp;
+    }
+
+    // Visit every cell at Chebyshev ring r around (cx, cy) that lies inside the grid
+    _forEachRingCell(cx, cy, r, callback) {
+      const y0 = Math.max(this.minGy, cy - r);
+      const y1 = Math.min(this.maxGy, cy + r);
+      for (let gy = y0; gy <= y1; gy++) {
+        if (gy === cy - r || gy === cy + r) {
+          const x0 = Math.max(this.minGx, cx - r);
+          const x1 = Math.min(this.maxGx, cx + r);
+          for (let gx = x0; gx <= x1; gx++) callback(gx, gy);
+        } else {
+          if (cx - r >= this.minGx && cx - r <= this.maxGx) callback(cx - r, gy);
+          if (r > 0 && cx + r >= this.minGx && cx + r <= this.maxGx) callback(cx + r, gy);
+        }
+      }
+    }
+
+    // Nearest point on the route to [lon, lat]
+    // Returns { point: [lon, lat], distance (meters), segmentIndex, t, location (km) },
+    // the same values turf.nearestPointOnLine reports, found by searching grid
+    // rings outward from the query cell until no closer segment can exist
+    nearest(lon, lat) {
+      const pt = [lon, lat];
+
+      if (this.segmentCount === 0) {
+        return {
+          point: this.lonLat[0],
+          distance: haversineMeters(this.lonLat[0], pt),
+          segmentIndex: 0,
+          t: 0,
+          location: 0
+        };
+      }
+
+      const [px, py] = this.project(lon, lat);
+      const cx = Math.floor(px / this.cellSize);
+      const cy = Math.floor(py / this.cellSize);
+      const maxRing = Math.max(
+        Math.abs(cx - this.minGx), Math.abs(cx - this.maxGx),
+        Math.abs(cy - this.minGy), Math.abs(cy - this.maxGy)
+      );
+
+      const stamp = this._nextStamp();
+      let best = null;
+
+      const evaluate = (i) => {
+        if (this._visited[i] === stamp) return;
+        this._visited[i] = stamp;
+
+        const result = pointOnSegment(this.lonLat[i], this.lonLat[i + 1], pt);
+        const distance = haversineMeters(result.point, pt);
+        // Ties go to the earlier segment, as in turf
+        if (!best || distance < best.distance || (distance === best.distance && i < best.segmentIndex)) {
+          best = { point: result.point, distance, segmentIndex: i, t: result.t };
+        }
+      };
+
+      for (let r = 0; r <= maxRing; r++) {
+        this._forEachRingCell(cx, cy, r, (gx, gy) => {
+          const cell = this.cells.get(this._cellKey(gx, gy));
+          if (cell) cell.forEach(evaluate);
+        });
+
+        // Anything in ring r+1 or beyond is at least r cells away; the small
+        // margin absorbs the difference between haversine and projected meters
+        if (best && best.distance <= r * this.cellSize * 0.98) break;
+      }
+
+      const segmentKm = this.turfCumulative[best.segmentIndex + 1] - this.turfCumulative[best.segmentIndex];
+      best.location = this.turfCumulative[best.segmentIndex] + best.t * segmentKm;
+      return best;
+    }
+
+    // Indices (ascending) of segments in grid cells overlapping a projected box
+    segmentsInBox(minX, minY, maxX, maxY) {
+      const gx0 = Math.max(this.minGx, Math.floor(minX / this.cellSize));
+      const gx1 = Math.min(this.maxGx, Math.floor(maxX / this.cellSize));
+      const gy0 = Math.max(this.minGy, Math.floor(minY / this.cellSize));
+      const gy1 = Math.min(this.maxGy, Math.floor(maxY / this.cellSize));
+
+      const stamp = this._nextStamp();
+      const segments = [];
+
+      for (let gx = gx0; gx <= gx1; gx++) {
+        for (let gy = gy0; gy <= gy1; gy++) {
+          const cell = this.cells.get(this._cellKey(gx, gy));
+          if (!cell) continue;
+          for (const i of cell) {
+            if (this._visited[i] === stamp) continue;
+            this._visited[i] = stamp;
+            segments.push(i);
+          }
+        }
+      }
+
+      return segments.sort((a, b) => a - b);
+    }
+  }
+
+  // Export to global scope
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RouteIndex;
+  } else {
+    global.RouteIndex = RouteIndex;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : typeof self !== 'undefined' ? self : this);
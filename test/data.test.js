@@ -0,0 +1,157 @@
+// Tests for reading the saved route data and Overpass responses
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const BiketerraData = require('../js/biketerra-data.js');
+const BiketerraPages = require('../js/biketerra-pages.js');
+const { OverpassAPI, OverpassCache } = require('../js/overpass.js');
+const { readJson, loadFixture } = require('./helpers.js');
+
+describe('parseDataJson', () => {
+  it('reads editableRoute points from the devalue data', () => {
+    const { routePoints } = loadFixture('switchback');
+    assert.equal(routePoints.length, 127);
+    for (const point of routePoints) {
+      assert.equal(point.length, 4);
+      assert.ok(point.every(value => typeof value === 'number'));
+    }
+    assert.equal(routePoints[0][3], 0);
+    assert.ok(Math.abs(routePoints[routePoints.length - 1][3] - 1250) < 1);
+  });
+
+  it('rejects data without nodes', () => {
+    assert.throws(() => BiketerraData.parseDataJson({}), /missing nodes array/);
+  });
+
+  it('rejects data without a route', () => {
+    const data = { type: 'data', nodes: [{ type: 'data', data: [{ user: 1 }, null] }] };
+    assert.throws(() => BiketerraData.parseDataJson(data), /Could not find route data/);
+  });
+});
+
+describe('isDataUrlFor', () => {
+  it("matches the editor's data request for the current route", () => {
+    assert.ok(BiketerraPages.isDataUrlFor(
+      '/editor/123/__data.json?x-sveltekit-invalidated=01', 'https://biketerra.com/editor/123'
+    ));
+    assert.ok(BiketerraPages.isDataUrlFor(
+      'https://biketerra.com/routes/new/__data.json?id=5&x-sveltekit-trailing-slash=1',
+      'https://biketerra.com/routes/new?id=5'
+    ));
+  });
+
+  it("doesn't match another route's data or other requests", () => {
+    assert.ok(!BiketerraPages.isDataUrlFor('/editor/124/__data.json', 'https://biketerra.com/editor/123'));
+    assert.ok(!BiketerraPages.isDataUrlFor('/routes/new/__data.json?id=6', 'https://biketerra.com/routes/new?id=5'));
+    assert.ok(!BiketerraPages.isDataUrlFor('/api/routes/123', 'https://biketerra.com/editor/123'));
+  });
+});
+
+describe('editor pages', () => {
+  const manifest = require('../manifest.json');
+
+  it('runs the content scripts on every host the editor check accepts', () => {
+    const hosts = ['biketerra.com', 'www.biketerra.com'];
+    for (const host of hosts) {
+      assert.ok(BiketerraPages.isEditorUrl(`https://${host}/editor/123`), host);
+      for (const script of manifest.content_scripts) {
+        assert.ok(script.matches.includes(`https://${host}/editor*`), `${host} in content_scripts`);
+      }
+      assert.ok(manifest.host_permissions.includes(`https://${host}/*`), `${host} in host_permissions`);
+    }
+    assert.ok(!BiketerraPages.isEditorUrl('https://example.com/editor/123'));
+  });
+});
+
+describe('Overpass endpoint hosts', () => {
+  const manifest = require('../manifest.json');
+
+  it('grants the default endpoints up front', () => {
+    for (const endpoint of OverpassAPI.DEFAULT_ENDPOINTS) {
+      assert.ok(manifest.host_permissions.includes(`${new URL(endpoint).origin}/*`), endpoint);
+    }
+    assert.deepEqual(OverpassAPI.hostPatterns(OverpassAPI.DEFAULT_ENDPOINTS), []);
+  });
+
+  it('lists each custom host once', () => {
+    const endpoints = OverpassAPI.parseEndpoints(`
+      https://overpass-api.de/api/other
+      https://overpass.example.org/api/interpreter
+      https://overpass.example.org/cgi/interpreter
+      http://localhost:12345/api/interpreter
+    `);
+    assert.deepEqual(OverpassAPI.hostPatterns(endpoints), [
+      'https://overpass.example.org/*',
+      'http://localhost:12345/*'
+    ]);
+  });
+});
+
+describe('processOverpassData', () => {
+  it('splits ways into bridges and tunnels at the count markers', () => {
+    const { bridges, tunnels } = OverpassAPI.processOverpassData(readJson('tunnel-under-bridge.overpass.json'));
+    assert.deepEqual(bridges.map(b => b.id), [5001, 5005, 5006]);
+    assert.deepEqual(tunnels.map(t => t.id), [5002, 5003, 5004]);
+    assert.ok([...bridges, ...tunnels].every(way => way.geometry.length >= 2));
+  });
+
+  it('types ways by their tags when there are no count markers', () => {
+    const response = readJson('tunnel-under-bridge.overpass.json');
+    response.elements = response.elements.filter(element => element.type !== 'count');
+
+    const { bridges, tunnels } = OverpassAPI.processOverpassData(response);
+    assert.deepEqual(bridges.map(b => b.id), [5001, 5005, 5006]);
+    assert.deepEqual(tunnels.map(t => t.id), [5002, 5003, 5004]);
+  });
+
+  it('names ways from their tags', () => {
+    const { bridges } = OverpassAPI.processOverpassData(readJson('loop.overpass.json'));
+    assert.equal(bridges[0].name, 'Loop Creek Bridge');
+    assert.equal(OverpassAPI.extractName({ bridge: 'yes', highway: 'cycleway' }), 'Cycleway');
+  });
+});
+
+describe('Overpass cache tiles', () => {
+  afterEach(() => mock.restoreAll());
+
+  // In-memory stand-in for IndexedDB, and a query that records its bounds
+  function fakeCache() {
+    const store = new Map();
+    const queries = [];
+    mock.method(OverpassCache, 'available', () => true);
+    mock.method(OverpassCache, 'get', async key => store.get(key) || null);
+    mock.method(OverpassCache, 'put', async (key, data) => {
+      store.set(key, { key, data, timestamp: Date.now() });
+    });
+    mock.method(OverpassAPI, 'queryBrunnels', async bounds => {
+      queries.push(bounds);
+      return OverpassAPI.processOverpassData(readJson('tunnel-under-bridge.overpass.json'));
+    });
+    return { store, queries };
+  }
+
+  it('covers a box with the grid tiles it touches', () => {
+    const tiles = OverpassCache.tilesFor({ minLat: 47.365, minLon: 8.535, maxLat: 47.375, maxLon: 8.54 });
+    assert.deepEqual(tiles.map(t => [t.row, t.col]), [[4736, 853], [4737, 853]]);
+    assert.deepEqual(OverpassCache.tileBounds(tiles), { minLat: 47.36, minLon: 8.53, maxLat: 47.38, maxLon: 8.54 });
+  });
+
+  it('stores each tile once and reuses it for overlapping chunks', async () => {
+    const { store, queries } = fakeCache();
+    const first = { minLat: 47.365, minLon: 8.535, maxLat: 47.375, maxLon: 8.545 };
+    const shifted = { minLat: 47.365, minLon: 8.542, maxLat: 47.375, maxLon: 8.555 };
+
+    const result = await OverpassAPI.queryBrunnelsCached(first);
+    assert.equal(result.bridges.length, 3);
+    assert.equal(store.size, 4);
+
+    await OverpassAPI.queryBrunnelsCached(shifted);
+    assert.equal(store.size, 6);
+    // Only the column of tiles the first chunk didn't touch is queried
+    assert.deepEqual(queries[1], { minLat: 47.36, minLon: 8.55, maxLat: 47.38, maxLon: 8.56 });
+
+    const cached = await OverpassAPI.queryBrunnelsCached(first);
+    assert.equal(queries.length, 2);
+    assert.deepEqual(cached.bridges.map(b => b.id).sort(), [5001, 5005, 5006]);
+  });
+});
@@ -0,0 +1,287 @@
+// Regenerates the synthetic regression fixtures in synthetic/: for each
+// scenario, a Biketerra __data.json (SvelteKit devalue format, editableRoute
+// points every ~10 m) and the Overpass response the extension's query would
+// return for it.
+// Usage: node test/fixtures/generate.js
+//
+// Geometry is laid out in meters on a local flat grid around each scenario's
+// origin, so the expected spans in the tests can be read off the layouts
+// below. Route distances are cumulative haversine meters, as Biketerra's are.
+
+const fs = require('fs');
+const path = require('path');
+const turf = require('../../js/turf-csp.js');
+
+const STEP_METERS = 10;
+
+// ============================================================================
+// Geometry
+// ============================================================================
+
+function grid(origin) {
+  const [lat0, lon0] = origin;
+  const metersPerLon = 111195 * Math.cos(lat0 * Math.PI / 180);
+  const round = value => Math.round(value * 1e7) / 1e7;
+  return ([x, y]) => ({ lat: round(lat0 + y / 111195), lon: round(lon0 + x / metersPerLon) });
+}
+
+// Gently rolling terrain, unless a scenario shapes its own
+const rolling = distance => 120 + 8 * Math.sin(distance / 250);
+
+// Cosine-shaped rise (or, with negative height, dip) centred on a distance
+function bump(distance, center, halfWidth, height) {
+  const offset = Math.abs(distance - center);
+  return offset < halfWidth ? height * (1 + Math.cos(Math.PI * offset / halfWidth)) / 2 : 0;
+}
+
+// Route through the waypoints (meters), with a point every STEP_METERS
+function buildRoute(toLatLon, waypoints, elevationAt = rolling) {
+  const xy = [waypoints[0]];
+  for (let i = 1; i < waypoints.length; i++) {
+    const [x0, y0] = waypoints[i - 1];
+    const [x1, y1] = waypoints[i];
+    const steps = Math.max(1, Math.round(Math.hypot(x1 - x0, y1 - y0) / STEP_METERS));
+    for (let s = 1; s <= steps; s++) {
+      xy.push([x0 + (x1 - x0) * s / steps, y0 + (y1 - y0) * s / steps]);
+    }
+  }
+
+  let distance = 0;
+  return xy.map((p, i) => {
+    const { lat, lon } = toLatLon(p);
+    if (i > 0) {
+      const prev = toLatLon(xy[i - 1]);
+      distance += turf.distance([prev.lon, prev.lat], [lon, lat], { units: 'meters' });
+    }
+    const elevation = Math.round(elevationAt(distance) * 10) / 10;
+    return [lat, lon, elevation, Math.round(distance * 100) / 100];
+  });
+}
+
+// ============================================================================
+// __data.json
+// ============================================================================
+
+// SvelteKit's devalue layout: every object and array holds indices into one
+// flat data array, and repeated primitives share an entry
+function encodeDevalue(root) {
+  const data = [];
+  const primitives = new Map();
+
+  function add(value) {
+    if (value === null || typeof value !== 'object') {
+      const key = `${typeof value}:${value}`;
+      if (primitives.has(key)) return primitives.get(key);
+      primitives.set(key, data.length);
+      data.push(value);
+      return data.length - 1;
+    }
+
+    const index = data.length;
+    data.push(null);
+    data[index] = Array.isArray(value)
+      ? value.map(add)
+      : Object.fromEntries(Object.entries(value).map(([k, v]) => [k, add(v)]));
+    return index;
+  }
+
+  add(root);
+  return data;
+}
+
+function dataJson(scenario, routePoints) {
+  const route = {
+    id: scenario.routeId,
+    name: scenario.title,
+    // Points carry a smoothed elevation as a fifth value
+    editableRoute: routePoints.map(p => [...p, p[2]])
+  };
+
+  return {
+    type: 'data',
+    nodes: [
+      { type: 'data', data: encodeDevalue({ user: null }), uses: {} },
+      { type: 'data', data: encodeDevalue({ route }), uses: { search_params: ['id'] } }
+    ]
+  };
+}
+
+// ============================================================================
+// Overpass response
+// ============================================================================
+
+// Ways as "out geom" returns them, bridges then tunnels, each group preceded
+// by its "out count" element
+function overpassJson(scenario, toLatLon) {
+  const nodeIds = new Map();
+  const nodeId = ([x, y]) => {
+    const key = `${x},${y}`;
+    if (!nodeIds.has(key)) nodeIds.set(key, scenario.routeId * 1000 + nodeIds.size + 1);
+    return nodeIds.get(key);
+  };
+
+  const toElement = way => {
+    const geometry = way.points.map(toLatLon);
+    return {
+      type: 'way',
+      id: way.id,
+      bounds: {
+        minlat: Math.min(...geometry.map(g => g.lat)),
+        minlon: Math.min(...geometry.map(g => g.lon)),
+        maxlat: Math.max(...geometry.map(g => g.lat)),
+        maxlon: Math.max(...geometry.map(g => g.lon))
+      },
+      nodes: way.points.map(nodeId),
+      geometry,
+      tags: way.tags
+    };
+  };
+
+  const count = ways => ({
+    type: 'count',
+    id: 0,
+    tags: { nodes: '0', ways: String(ways.length), relations: '0', areas: '0', total: String(ways.length) }
+  });
+
+  const bridges = scenario.ways.filter(w => w.tags.bridge);
+  const tunnels = scenario.ways.filter(w => w.tags.tunnel);
+
+  return {
+    version: 0.6,
+    generator: 'Overpass API 0.7.62.1 084b4234',
+    osm3s: {
+      timestamp_osm_base: '2025-01-01T00:00:00Z',
+      copyright: 'The data included in this document is from www.openstreetmap.org. The data is made available under ODbL.'
+    },
+    elements: [count(bridges), ...bridges.map(toElement), count(tunnels), ...tunnels.map(toElement)]
+  };
+}
+
+// ============================================================================
+// Scenarios
+// ============================================================================
+
+const bridge = (id, points, tags = {}) =>
+  ({ id, points, tags: { bridge: 'yes', highway: 'residential', layer: '1', ...tags } });
+const tunnel = (id, points, tags = {}) =>
+  ({ id, points, tags: { tunnel: 'yes', highway: 'residential', layer: '-1', ...tags } });
+
+const SCENARIOS = [
+  {
+    // Two laps of a 600 x 300 m block: every brunnel is passed twice
+    name: 'loop',
+    routeId: 101,
+    title: 'Two laps of the block',
+    origin: [45.5, -122.6],
+    waypoints: [[0, 0], [600, 0], [600, 300], [0, 300], [0, 0], [600, 0], [600, 300], [0, 300], [0, 0]],
+    ways: [
+      bridge(1001, [[200, 0.5], [260, 0.5]], { name: 'Loop Creek Bridge' }),
+      // Drawn against the direction of travel
+      tunnel(1002, [[400, 300], [330, 300]], { name: 'North Street Underpass' })
+    ]
+  },
+  {
+    // Hairpins with legs 25 m apart: brunnels must land on their own leg
+    name: 'switchback',
+    routeId: 102,
+    title: 'Switchbacks',
+    origin: [46.0, 7.5],
+    waypoints: [[0, 0], [400, 0], [400, 25], [0, 25], [0, 50], [400, 50]],
+    ways: [
+      bridge(2001, [[150, 25], [200, 25]], { name: 'Second Leg Bridge' }),
+      // Short footbridge crossing the third leg at an angle, inside the route buffer
+      bridge(2002, [[298, 48.5], [302, 51.5]], { highway: 'footway', name: 'Crossing Footbridge' }),
+      // Follows the route around the first hairpin
+      tunnel(2003, [[380, 0], [400, 0], [400, 12]], { name: 'Hairpin Tunnel' })
+    ]
+  },
+  {
+    // One bridge split into three OSM ways, plus near and far gaps
+    name: 'split-ways',
+    routeId: 103,
+    title: 'Canal crossings',
+    origin: [52.37, 4.9],
+    waypoints: [[0, 0], [1000, 0]],
+    ways: [
+      bridge(3001, [[300, 0], [340, 0]], { name: 'Canal Bridge' }),
+      bridge(3002, [[340, 0], [370, 0]], { name: 'Canal Bridge' }),
+      bridge(3003, [[370, 0], [400, 0]], { name: 'Canal Bridge (east)' }),
+      bridge(3004, [[600, 0], [650, 0]], { name: 'Lock Bridge' }),
+      bridge(3005, [[655, 0], [700, 0]], { name: 'Lock Bridge' }),
+      tunnel(3006, [[800, 0], [850, 0]], { name: 'Dike Tunnel' }),
+      bridge(3007, [[850, 0], [880, 0]], { name: 'Dike Bridge' })
+    ]
+  },
+  {
+    // Side-by-side bridges: the one the route is on must win
+    name: 'parallel-bridges',
+    routeId: 104,
+    title: 'Parallel bridges',
+    origin: [40.0, -75.0],
+    waypoints: [[0, 0], [800, 0]],
+    ways: [
+      bridge(4001, [[200, 0.5], [300, 0.5]], { name: 'River Road Bridge' }),
+      bridge(4002, [[200, 2.5], [300, 2.5]], { highway: 'cycleway', name: 'River Road Sidepath' }),
+      bridge(4003, [[200, 15], [300, 15]], { name: 'Old River Bridge' }),
+      bridge(4004, [[500, -2], [560, -2]], { name: 'Mill Race Bridge (south)' }),
+      bridge(4005, [[520, 1], [580, 1]], { name: 'Mill Race Bridge' })
+    ]
+  },
+  {
+    // Route over a bridge with a tunnel beneath, and through a tunnel with a
+    // bridge above
+    name: 'tunnel-under-bridge',
+    routeId: 105,
+    title: 'Over and under',
+    origin: [47.37, 8.54],
+    waypoints: [[0, 0], [1000, 0]],
+    ways: [
+      bridge(5001, [[200, 0], [300, 0]], { name: 'Viaduct' }),
+      tunnel(5002, [[250, -40], [250, 40]], { name: 'Valley Road Tunnel' }),
+      tunnel(5003, [[250, -2], [250, 2]], { highway: 'footway', name: 'Culvert Path' }),
+      tunnel(5004, [[600, 0], [700, 0]], { name: 'Hill Tunnel' }),
+      bridge(5005, [[650, -30], [650, 30]], { name: 'Ridge Road Bridge' }),
+      bridge(5006, [[638, -1.5], [642, 1.5]], { highway: 'footway', name: 'Portal Footbridge' })
+    ]
+  },
+  {
+    // Shaped terrain for the terrain check: a 6 m valley under the viaduct
+    // and a 30 m hill over the tunnel, on otherwise level ground
+    name: 'terrain',
+    routeId: 106,
+    title: 'Valley and hill',
+    origin: [46.95, 7.45],
+    waypoints: [[0, 0], [1000, 0]],
+    elevation: distance => 300 + bump(distance, 250, 50, -6) + bump(distance, 650, 50, 30),
+    ways: [
+      bridge(6001, [[200, 0], [300, 0]], { name: 'Valley Viaduct' }),
+      tunnel(6002, [[600, 0], [700, 0]], { name: 'Hill Tunnel' })
+    ]
+  },
+  {
+    // A short footbridge the route first crosses at an angle, then later
+    // follows along a diagonal leg: one misaligned pass, one aligned
+    name: 'crossing',
+    routeId: 107,
+    title: 'Across and along',
+    origin: [48.2, 16.37],
+    waypoints: [[0, 0], [600, 0], [600, -300], [-100, -300], [700, 300]],
+    ways: [
+      bridge(7001, [[298, -1.5], [302, 1.5]], { highway: 'footway', name: 'Canal Footbridge' })
+    ]
+  }
+];
+
+for (const scenario of SCENARIOS) {
+  const toLatLon = grid(scenario.origin);
+  const routePoints = buildRoute(toLatLon, scenario.waypoints, scenario.elevation);
+
+  const write = (suffix, json) => fs.writeFileSync(
+    path.join(__dirname, 'synthetic', `${scenario.name}.${suffix}.json`),
+    JSON.stringify(json) + '\n'
+  );
+  write('data', dataJson(scenario, routePoints));
+  write('overpass', overpassJson(scenario, toLatLon));
+
+  console.log(`${scenario.name}: ${routePoints.length} points, ${scenario.ways.length} ways`);
+}
@@ -0,0 +1,316 @@
+// Unit tests for the geometry helpers the filters rely on
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BrunnelCore = require('../js/brunnel-core.js');
+const { assertNear } = require('./helpers.js');
+
+const { GeometryUtils, BrunnelAnalysis, Brunnel } = BrunnelCore;
+
+// Straight 1 km route due east along the equator, a point every 100 m
+const METERS_PER_DEGREE = 111195.08;
+const straightRoute = BrunnelCore.buildRoute(
+  Array.from({ length: 11 }, (_, i) => [0, i * 100 / METERS_PER_DEGREE, 0, i * 100])
+);
+
+function brunnelAt(id, points, type = 'bridge') {
+  return new Brunnel({
+    id,
+    type,
+    name: `Way ${id}`,
+    tags: {},
+    geometry: points.map(([x, y]) => ({ lat: y / METERS_PER_DEGREE, lon: x / METERS_PER_DEGREE }))
+  });
+}
+
+describe('getBearingDifference', () => {
+  const diff = (a, b) => GeometryUtils.getBearingDifference(a, b);
+
+  it('is the plain difference for nearby bearings', () => {
+    assert.equal(diff(10, 30), 20);
+    assert.equal(diff(30, 10), 20);
+  });
+
+  it('wraps around north', () => {
+    assert.equal(diff(350, 10), 20);
+    assert.equal(diff(-170, 170), 20);
+  });
+
+  it('ignores direction of travel', () => {
+    assert.equal(diff(0, 180), 0);
+    assert.equal(diff(90, -90), 0);
+    assert.equal(diff(10, 200), 10);
+  });
+
+  it('is at most 90 degrees', () => {
+    assert.equal(diff(0, 90), 90);
+    assert.equal(diff(45, 225 + 90), 90);
+  });
+});
+
+describe('calculateRouteSpan', () => {
+  it('projects both ends onto the route', () => {
+    const span = GeometryUtils.calculateRouteSpan(brunnelAt(1, [[250, 1], [330, -1]]), straightRoute);
+    assertNear(span.startDistance, 0.25, 'start');
+    assertNear(span.endDistance, 0.33, 'end');
+  });
+
+  it('orders the span along the route for ways drawn backwards', () => {
+    const span = GeometryUtils.calculateRouteSpan(brunnelAt(2, [[700, 0], [640, 0]]), straightRoute);
+    assertNear(span.startDistance, 0.64, 'start');
+    assertNear(span.endDistance, 0.7, 'end');
+  });
+
+  it('clamps ends beyond the route to its start and finish', () => {
+    const span = GeometryUtils.calculateRouteSpan(brunnelAt(3, [[-50, 0], [40, 0]]), straightRoute);
+    assert.equal(span.startDistance, 0);
+    assertNear(span.endDistance, 0.04, 'end');
+  });
+
+  it('returns null for a brunnel without geometry', () => {
+    assert.equal(GeometryUtils.calculateRouteSpan({ geometry: [] }, straightRoute), null);
+  });
+});
+
+describe('calculateRouteSpans', () => {
+  it('finds one span per pass of an out-and-back route', () => {
+    const outAndBack = BrunnelCore.buildRoute([
+      ...straightRoute.coordinates.map(c => [c.lat, c.lon, 0, c.distance]),
+      ...straightRoute.coordinates.slice(0, -1).reverse().map((c, i) => [c.lat, c.lon, 0, 1000 + (i + 1) * 100])
+    ]);
+    const spans = GeometryUtils.calculateRouteSpans(brunnelAt(4, [[420, 0], [480, 0]]), outAndBack, 3);
+
+    assert.equal(spans.length, 2);
+    assertNear(spans[0].startDistance, 0.42, 'first pass start');
+    assertNear(spans[0].endDistance, 0.48, 'first pass end');
+    assertNear(spans[1].startDistance, 1.52, 'second pass start');
+    assertNear(spans[1].endDistance, 1.58, 'second pass end');
+  });
+});
+
+describe('mergeAdjacentBrunnels', () => {
+  const spanned = (id, type, start, end, name = `Way ${id}`) =>
+    ({ id, type, name, routeSpan: { startDistance: start, endDistance: end } });
+
+  it('merges same-type spans within the gap and joins distinct names', () => {
+    const merged = BrunnelAnalysis.mergeAdjacentBrunnels([
+      spanned(2, 'bridge', 0.1405, 0.2, 'East'),
+      spanned(1, 'bridge', 0.1, 0.14, 'West'),
+      spanned(3, 'bridge', 0.3, 0.4)
+    ], 0.001);
+
+    assert.equal(merged.length, 2);
+    assert.equal(merged[0].id, 1);
+    assert.deepEqual(merged[0].routeSpan, { startDistance: 0.1, endDistance: 0.2 });
+    assert.equal(merged[0].name, 'West; East');
+    assert.equal(merged[1].id, 3);
+  });
+
+  it('keeps one name when the merged parts share it', () => {
+    const [merged] = BrunnelAnalysis.mergeAdjacentBrunnels([
+      spanned(1, 'tunnel', 0.1, 0.2, 'Tunnel'),
+      spanned(2, 'tunnel', 0.2, 0.3, 'Tunnel')
+    ]);
+    assert.equal(merged.name, 'Tunnel');
+  });
+
+  it('merges overlapping spans', () => {
+    const merged = BrunnelAnalysis.mergeAdjacentBrunnels([
+      spanned(1, 'bridge', 0.1, 0.3),
+      spanned(2, 'bridge', 0.15, 0.2)
+    ]);
+    assert.equal(merged.length, 1);
+    assert.deepEqual(merged[0].routeSpan, { startDistance: 0.1, endDistance: 0.3 });
+  });
+
+  it('keeps the id of a way the user forced, and leaves the parts alone', () => {
+    const parts = [
+      spanned(1, 'bridge', 0.1, 0.15),
+      { ...spanned(2, 'bridge', 0.12, 0.2), forced: true }
+    ];
+    const [merged] = BrunnelAnalysis.mergeAdjacentBrunnels(parts);
+    assert.equal(merged.id, 2);
+    assert.ok(merged.forced);
+    assert.deepEqual(merged.routeSpan, { startDistance: 0.1, endDistance: 0.2 });
+    assert.deepEqual(parts[0].routeSpan, { startDistance: 0.1, endDistance: 0.15 });
+    assert.deepEqual(parts[1].routeSpan, { startDistance: 0.12, endDistance: 0.2 });
+  });
+
+  it('never merges bridges with tunnels', () => {
+    const merged = BrunnelAnalysis.mergeAdjacentBrunnels([
+      spanned(1, 'bridge', 0.1, 0.2),
+      spanned(2, 'tunnel', 0.2, 0.3)
+    ], 0.01);
+    assert.deepEqual(merged.map(b => b.id), [1, 2]);
+  });
+});
+
+describe('adjustSpan', () => {
+  const span = { startDistance: 0.5, endDistance: 0.6 };
+  const adjust = options => BrunnelAnalysis.adjustSpan(span, options);
+
+  it('leaves the span alone without edits or padding', () => {
+    assert.deepEqual(adjust(), { startDistance: 0.5, endDistance: 0.6 });
+  });
+
+  it('moves each end by its offset, then pads both sides', () => {
+    const adjusted = adjust({ startOffsetMeters: 5, endOffsetMeters: -1, padMeters: 10 });
+    assertNear(adjusted.startDistance, 0.495, 'start');
+    assertNear(adjusted.endDistance, 0.609, 'end');
+  });
+
+  it('stops padding at the limits', () => {
+    const adjusted = adjust({ padMeters: 20, minDistance: 0.49, maxDistance: 0.61 });
+    assert.equal(adjusted.startDistance, 0.49);
+    assert.equal(adjusted.endDistance, 0.61);
+  });
+
+  it('never lets a limit shorten an edited span', () => {
+    const adjusted = adjust({ endOffsetMeters: 20, padMeters: 5, maxDistance: 0.61 });
+    assertNear(adjusted.endDistance, 0.62, 'end');
+  });
+
+  it('rejects edits that leave nothing to apply', () => {
+    assert.equal(adjust({ startOffsetMeters: 60, endOffsetMeters: -40, padMeters: 50 }), null);
+  });
+});
+
+describe('terrainDiagnostics', () => {
+  // 300 m route, a point every 10 m: flat at 50 m, then a 5% climb from
+  // 100 m to 200 m, then flat again
+  const climb = Array.from({ length: 31 }, (_, i) => {
+    const distance = i * 10;
+    return { distance, elevation: 50 + 0.05 * Math.min(100, Math.max(0, distance - 100)) };
+  });
+  const diagnose = (type, start, end, coords = climb, options) =>
+    BrunnelAnalysis.terrainDiagnostics({ type, startDistance: start, endDistance: end }, coords, options);
+
+  it('measures the dip under a bridge against a straight deck', () => {
+    const valley = climb.map(c => ({ ...c, elevation: c.distance === 50 ? 38 : 50 }));
+    const terrain = diagnose('bridge', 0.03, 0.07, valley);
+    assert.equal(terrain.dipMeters, 12);
+    assert.equal(terrain.humpMeters, null);
+    assert.equal(terrain.flag, 'high-impact');
+  });
+
+  it('measures the hump over a tunnel', () => {
+    const hill = climb.map(c => ({ ...c, elevation: c.elevation + (c.distance === 250 ? 4 : 0) }));
+    const terrain = diagnose('tunnel', 0.23, 0.27, hill);
+    assert.equal(terrain.humpMeters, 4);
+    assert.equal(terrain.dipMeters, null);
+    assert.equal(terrain.flag, null);
+  });
+
+  it('reports the grade change at each end', () => {
+    const terrain = diagnose('bridge', 0.1, 0.2);
+    assert.equal(terrain.startGradeChange, 5);
+    assert.equal(terrain.endGradeChange, -5);
+  });
+
+  it('flags terrain that is already flat as unnecessary', () => {
+    assert.equal(diagnose('bridge', 0.1, 0.2).flag, 'unnecessary');
+    assert.equal(diagnose('bridge', 0.1, 0.2, climb, { flatMeters: 0 }).flag, null);
+  });
+
+  it('has no grade change beyond the ends of the route', () => {
+    const terrain = diagnose('tunnel', 0, 0.05);
+    assert.equal(terrain.startGradeChange, null);
+    assert.equal(terrain.endGradeChange, 0);
+  });
+
+  it('measures a dip between two route points from interpolated deck ends', () => {
+    // Points every 100 m, with the valley floor at 100 m
+    const sparse = [0, 100, 200].map(distance => ({ distance, elevation: distance === 100 ? 38 : 50 }));
+    const terrain = diagnose('bridge', 0.05, 0.15, sparse);
+    assert.equal(terrain.dipMeters, 6);
+    assert.equal(terrain.flag, null);
+  });
+
+  it("doesn't flag a span with no route point inside it", () => {
+    const sparse = [0, 100, 200].map(distance => ({ distance, elevation: distance === 100 ? 38 : 50 }));
+    const terrain = diagnose('bridge', 0.11, 0.19, sparse);
+    assert.equal(terrain.dipMeters, null);
+    assert.equal(terrain.flag, null);
+  });
+
+  it('is null without elevation data', () => {
+    const noElevation = climb.map(c => ({ ...c, elevation: null }));
+    assert.equal(diagnose('bridge', 0.1, 0.2, noElevation), null);
+  });
+});
+
+describe('readingChanges', () => {
+  const bridge = (start, end) => ({ type: 'bridge', startDistance: start, endDistance: end });
+  const chart = (startKm, endKm, spans) => ({ source: 'chart', startKm, endKm, spans });
+
+  it('finds the span that appeared under the same zoom', () => {
+    const before = chart(10, 11, [bridge(10.1, 10.2)]);
+    const after = chart(10, 11, [bridge(10.1, 10.2), bridge(10.5, 10.6)]);
+    const { window, added } = BrunnelAnalysis.readingChanges(before, after);
+    assert.deepEqual(window, { startKm: 10, endKm: 11 });
+    assert.deepEqual(added, [bridge(10.5, 10.6)]);
+    assert.equal(BrunnelAnalysis.verifyAppliedSpan(bridge(10.5, 10.6), added, 10, window).status, 'ok');
+  });
+
+  it('ignores spans that only came into view between the readings', () => {
+    const before = chart(9.5, 10.5, []);
+    const after = chart(10, 11, [bridge(10.1, 10.2), bridge(10.7, 10.8)]);
+    const { window, added } = BrunnelAnalysis.readingChanges(before, after);
+    assert.deepEqual(window, { startKm: 10, endKm: 10.5 });
+    assert.deepEqual(added, [bridge(10.1, 10.2)]);
+
+    assert.deepEqual(BrunnelAnalysis.readingChanges(chart(0, 1, []), after), { window: null, added: [] });
+  });
+
+  it("can't verify a span outside the zoomed window", () => {
+    const before = chart(10, 11, []);
+    const after = chart(10, 11, [bridge(10.5, 10.6)]);
+    const { window, added } = BrunnelAnalysis.readingChanges(before, after);
+    const verification = BrunnelAnalysis.verifyAppliedSpan(bridge(30, 30.1), added, 10, window);
+    assert.equal(verification.status, 'unverified');
+    assert.equal(verification.actual, null);
+  });
+
+  it("doesn't compare readings from different sources", () => {
+    const before = chart(10, 11, []);
+    const after = { source: 'route data', startKm: 0, endKm: Infinity, spans: [bridge(10.5, 10.6)] };
+    const { window, added } = BrunnelAnalysis.readingChanges(before, after);
+    assert.equal(window, null);
+    assert.deepEqual(added, []);
+    assert.equal(BrunnelAnalysis.verifyAppliedSpan(bridge(10.5, 10.6), added, 10, window).status, 'unverified');
+  });
+});
+
+describe('findMatchingSpan', () => {
+  const spans = [
+    { type: 'bridge', startDistance: 1.2, endDistance: 1.3 },
+    { type: 'tunnel', startDistance: 1.2, endDistance: 1.3 },
+    { type: 'bridge', startDistance: 1.204, endDistance: 1.302 }
+  ];
+
+  it('picks the closest existing span of the same type', () => {
+    const span = { type: 'bridge', startDistance: 1.203, endDistance: 1.301 };
+    assert.equal(BrunnelAnalysis.findMatchingSpan(span, spans, 10), spans[2]);
+  });
+
+  it('finds nothing when either end is beyond the tolerance', () => {
+    const span = { type: 'tunnel', startDistance: 1.2, endDistance: 1.32 };
+    assert.equal(BrunnelAnalysis.findMatchingSpan(span, spans, 10), null);
+  });
+});
+
+describe('verifyRemoved', () => {
+  const span = { type: 'tunnel', startDistance: 20.3, endDistance: 20.5 };
+  const chart = (startKm, endKm, spans) => ({ source: 'chart', startKm, endKm, spans });
+
+  it('confirms a span that is gone under the same zoom', () => {
+    assert.equal(BrunnelAnalysis.verifyRemoved(span, chart(20, 21, [span]), chart(20, 21, [])), 'removed');
+    assert.equal(BrunnelAnalysis.verifyRemoved(span, chart(20, 21, [span]), chart(20, 21, [span])), 'present');
+  });
+
+  it("can't tell once the span has left the chart's view", () => {
+    assert.equal(BrunnelAnalysis.verifyRemoved(span, chart(20, 21, [span]), chart(20.4, 21.4, [])), 'unverified');
+    const routeData = { source: 'route data', startKm: 0, endKm: Infinity, spans: [] };
+    assert.equal(BrunnelAnalysis.verifyRemoved(span, chart(20, 21, [span]), routeData), 'unverified');
+  });
+});
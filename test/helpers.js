@@ -0,0 +1,67 @@
+// Shared helpers for the regression tests
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('node:assert/strict');
+const BrunnelCore = require('../js/brunnel-core.js');
+const BiketerraData = require('../js/biketerra-data.js');
+const { OverpassAPI } = require('../js/overpass.js');
+
+// Layouts generated by fixtures/generate.js
+const SYNTHETIC = path.join(__dirname, 'fixtures', 'synthetic');
+
+// Spans are compared to the fixture layouts to within 2 m
+const SPAN_TOLERANCE_KM = 0.002;
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(SYNTHETIC, file), 'utf8'));
+}
+
+// A scenario's __data.json and Overpass response, parsed the way the
+// extension parses them
+function loadFixture(name) {
+  const data = readJson(`${name}.data.json`);
+  const routePoints = BiketerraData.parseDataJson(data);
+  const route = BrunnelCore.buildRoute(routePoints);
+  const overpassData = OverpassAPI.processOverpassData(readJson(`${name}.overpass.json`));
+  return { data, routePoints, route, overpassData };
+}
+
+function analyze(name, options = {}) {
+  const { route, overpassData } = loadFixture(name);
+  return BrunnelCore.analyzeCandidates(route, overpassData, options);
+}
+
+function assertNear(actual, expected, message) {
+  assert.ok(
+    Math.abs(actual - expected) <= SPAN_TOLERANCE_KM,
+    `${message}: expected ${expected} km, got ${actual} km`
+  );
+}
+
+// Located brunnels, sorted along the route, against
+// [{ id, type, start, end }] with start/end in km
+function assertBrunnels(brunnels, expected) {
+  const sorted = [...brunnels].sort((a, b) => a.startDistance - b.startDistance);
+  assert.deepEqual(sorted.map(b => b.id), expected.map(e => e.id));
+
+  sorted.forEach((brunnel, i) => {
+    assert.equal(brunnel.type, expected[i].type, `type of ${brunnel.id}`);
+    assertNear(brunnel.startDistance, expected[i].start, `start of ${brunnel.id}`);
+    assertNear(brunnel.endDistance, expected[i].end, `end of ${brunnel.id}`);
+  });
+}
+
+// Exclusion reasons by candidate id
+function exclusionReasons(result) {
+  return Object.fromEntries(result.excluded.map(e => [e.id, e.reason]));
+}
+
+module.exports = {
+  readJson,
+  loadFixture,
+  analyze,
+  assertNear,
+  assertBrunnels,
+  exclusionReasons
+};
@@ -0,0 +1,149 @@
+// Tests for saved options, presets and per-route overrides
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const OptionStore = require('../js/option-store.js');
+
+// In-memory stand-in for chrome.storage.sync and .local, storing copies like
+// the real ones
+function memoryArea() {
+  const items = {};
+  const copy = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  return {
+    items,
+    async get(key) {
+      return key in items ? { [key]: copy(items[key]) } : {};
+    },
+    async set(values) {
+      for (const [key, value] of Object.entries(values)) items[key] = copy(value);
+    },
+    async remove(key) {
+      delete items[key];
+    }
+  };
+}
+
+beforeEach(() => {
+  OptionStore.storageArea = memoryArea();
+  OptionStore.routeStorageArea = memoryArea();
+});
+
+describe('options', () => {
+  it('starts from the defaults', async () => {
+    const { options, override } = await OptionStore.load('123');
+    assert.deepEqual(options, OptionStore.DEFAULTS);
+    assert.equal(override, null);
+  });
+
+  it('saves and reloads options', async () => {
+    await OptionStore.save({ ...OptionStore.DEFAULTS, routeBuffer: 5, applyPartial: true });
+    const { options } = await OptionStore.load();
+    assert.equal(options.routeBuffer, 5);
+    assert.equal(options.applyPartial, true);
+    assert.equal(options.queryBuffer, 10);
+  });
+
+  it('drops unknown options and invalid values', () => {
+    assert.deepEqual(OptionStore.sanitize({
+      routeBuffer: -1,
+      bearingTolerance: '20',
+      mergeGap: 0,
+      applyPartial: 'yes',
+      endpoints: [],
+      colour: 'red'
+    }), { mergeGap: 0 });
+  });
+
+  it('applies a route override over the saved options for that route only', async () => {
+    await OptionStore.save({ routeBuffer: 4, bearingTolerance: 25 });
+    await OptionStore.saveRouteOverride('42', { routeBuffer: 8 });
+
+    const route = await OptionStore.load('42');
+    assert.equal(route.options.routeBuffer, 8);
+    assert.equal(route.options.bearingTolerance, 25);
+    assert.deepEqual(route.override, { routeBuffer: 8 });
+
+    const other = await OptionStore.load('43');
+    assert.equal(other.options.routeBuffer, 4);
+    assert.equal(other.override, null);
+
+    await OptionStore.clearRouteOverride('42');
+    assert.equal((await OptionStore.load('42')).options.routeBuffer, 4);
+  });
+
+  it('keeps route overrides out of sync storage', async () => {
+    await OptionStore.saveRouteOverride('42', { routeBuffer: 8 });
+    assert.deepEqual(Object.keys(OptionStore.storageArea.items), []);
+    assert.deepEqual(Object.keys(OptionStore.routeStorageArea.items), ['routeOptions:42']);
+  });
+
+  it('moves an override saved to sync storage by an earlier version', async () => {
+    OptionStore.storageArea.items['routeOptions:42'] = { routeBuffer: 8 };
+
+    const { override } = await OptionStore.load('42');
+    assert.deepEqual(override, { routeBuffer: 8 });
+    assert.deepEqual(OptionStore.routeStorageArea.items, { 'routeOptions:42': { routeBuffer: 8 } });
+    assert.equal('routeOptions:42' in OptionStore.storageArea.items, false);
+  });
+});
+
+describe('presets', () => {
+  it('offers the built-in presets until others are saved', async () => {
+    const presets = await OptionStore.listPresets();
+    assert.deepEqual(Object.keys(presets), ['Urban dense', 'Rural', 'Mountain tunnels']);
+  });
+
+  it('saves only the search, filter and apply options', async () => {
+    await OptionStore.savePreset('  Gravel  ', { ...OptionStore.DEFAULTS, routeBuffer: 6, cacheTtlHours: 1 });
+    const presets = await OptionStore.listPresets();
+    assert.deepEqual(presets.Gravel, {
+      queryBuffer: 10, routeBuffer: 6, bearingTolerance: 20, mergeGap: 1, verifyTolerance: 10, padMeters: 0
+    });
+    assert.ok('Rural' in presets);
+  });
+
+  it('rejects an empty name', async () => {
+    await assert.rejects(OptionStore.savePreset('  ', {}), /empty/);
+  });
+
+  it('renames in place and refuses to overwrite another preset', async () => {
+    await OptionStore.renamePreset('Rural', 'Farmland');
+    assert.deepEqual(Object.keys(await OptionStore.listPresets()), ['Urban dense', 'Farmland', 'Mountain tunnels']);
+
+    await assert.rejects(OptionStore.renamePreset('Farmland', 'Urban dense'), /already exists/);
+    await assert.rejects(OptionStore.renamePreset('Rural', 'Anything'), /No preset named/);
+  });
+
+  it('deletes presets, including built-in ones', async () => {
+    await OptionStore.deletePreset('Urban dense');
+    assert.ok(!('Urban dense' in await OptionStore.listPresets()));
+  });
+});
+
+describe('preset files', () => {
+  it('round-trips through export and import', async () => {
+    const text = OptionStore.exportPresets({ Track: { routeBuffer: 2 } });
+    await OptionStore.deletePreset('Rural');
+
+    const names = await OptionStore.importPresets(text);
+    assert.deepEqual(names, ['Track']);
+
+    const presets = await OptionStore.listPresets();
+    assert.deepEqual(presets.Track, { routeBuffer: 2 });
+    assert.ok('Urban dense' in presets);
+    assert.ok(!('Rural' in presets));
+  });
+
+  it('rejects files that are not preset exports', () => {
+    assert.throws(() => OptionStore.parsePresets('not json'), /not valid JSON/);
+    assert.throws(() => OptionStore.parsePresets('{"presets": {}}'), /Not a Biketerra Brunnels preset file/);
+    assert.throws(
+      () => OptionStore.parsePresets(JSON.stringify({ format: 'bt-brunnels-presets', version: 99, presets: {} })),
+      /newer/
+    );
+    assert.throws(
+      () => OptionStore.parsePresets(JSON.stringify({ format: 'bt-brunnels-presets', version: 1, presets: { Empty: { colour: 1 } } })),
+      /no presets/
+    );
+  });
+});
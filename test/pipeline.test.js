@@ -0,0 +1,214 @@
+// Regression tests for the full detection pipeline (analyzeCandidates) on
+// the fixture routes. See test/fixtures/generate.js for each synthetic
+// layout.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BrunnelCore = require('../js/brunnel-core.js');
+const { analyze, assertBrunnels, exclusionReasons } = require('./helpers.js');
+
+describe('loop', () => {
+  const result = analyze('loop');
+
+  it('finds one span per lap for each brunnel', () => {
+    assertBrunnels(result.brunnels, [
+      { id: '1001:1', type: 'bridge', start: 0.2, end: 0.26 },
+      { id: '1002:1', type: 'tunnel', start: 1.1, end: 1.17 },
+      { id: '1001:2', type: 'bridge', start: 2.0, end: 2.06 },
+      { id: '1002:2', type: 'tunnel', start: 2.9, end: 2.97 }
+    ]);
+  });
+
+  it('numbers the passes', () => {
+    for (const brunnel of result.brunnels) {
+      assert.equal(brunnel.passCount, 2);
+      assert.equal(String(brunnel.id), `${brunnel.osmId}:${brunnel.pass}`);
+    }
+  });
+
+  it('excludes nothing', () => {
+    assert.deepEqual(result.excluded, []);
+  });
+
+  it('flags brunnels over gently rolling terrain as likely unnecessary', () => {
+    for (const brunnel of result.brunnels) {
+      assert.equal(brunnel.terrain.flag, 'unnecessary', `flag of ${brunnel.id}`);
+    }
+  });
+});
+
+describe('switchback', () => {
+  const result = analyze('switchback');
+
+  it('places each brunnel on its own leg', () => {
+    assertBrunnels(result.brunnels, [
+      { id: 2003, type: 'tunnel', start: 0.38, end: 0.412 },
+      { id: 2001, type: 'bridge', start: 0.625, end: 0.675 }
+    ]);
+  });
+
+  it('does not count neighbouring legs as extra passes', () => {
+    assert.ok(result.brunnels.every(b => b.passCount === 1));
+  });
+
+  it('excludes a crossing footbridge as misaligned', () => {
+    assert.deepEqual(exclusionReasons(result), { 2002: 'misaligned' });
+    const [footbridge] = result.excluded;
+    assert.ok(footbridge.bearingDifference > 20);
+    assert.ok(footbridge.maxDistance <= 3);
+  });
+});
+
+describe('split OSM ways', () => {
+  it('merges consecutive ways of one bridge', () => {
+    const result = analyze('split-ways');
+    const canal = result.brunnels.find(b => b.osmId === 3001);
+
+    assertBrunnels([canal], [{ id: 3001, type: 'bridge', start: 0.3, end: 0.4 }]);
+    assert.equal(canal.name, 'Canal Bridge; Canal Bridge (east)');
+    assert.ok(!result.brunnels.some(b => b.osmId === 3002 || b.osmId === 3003));
+  });
+
+  it('keeps ways further apart than the merge gap separate', () => {
+    const result = analyze('split-ways', { mergeGap: 1 });
+    assertBrunnels(result.brunnels.filter(b => b.name === 'Lock Bridge'), [
+      { id: 3004, type: 'bridge', start: 0.6, end: 0.65 },
+      { id: 3005, type: 'bridge', start: 0.655, end: 0.7 }
+    ]);
+  });
+
+  it('merges them with a wider merge gap', () => {
+    const result = analyze('split-ways', { mergeGap: 10 });
+    assertBrunnels(result.brunnels.filter(b => b.name === 'Lock Bridge'), [
+      { id: 3004, type: 'bridge', start: 0.6, end: 0.7 }
+    ]);
+  });
+
+  it('never merges a bridge with an adjoining tunnel', () => {
+    const result = analyze('split-ways', { mergeGap: 10 });
+    assertBrunnels(result.brunnels.filter(b => b.osmId >= 3006), [
+      { id: 3006, type: 'tunnel', start: 0.8, end: 0.85 },
+      { id: 3007, type: 'bridge', start: 0.85, end: 0.88 }
+    ]);
+  });
+
+  it('classifies located brunnels against those already on the route', () => {
+    const existing = [
+      { type: 'bridge', startDistance: 0.3, endDistance: 0.4 },
+      { type: 'tunnel', startDistance: 0.815, endDistance: 0.845 }
+    ];
+    const classified = BrunnelCore.BrunnelAnalysis.classifyAgainstExisting(analyze('split-ways').brunnels, existing);
+    const status = Object.fromEntries(classified.map(b => [b.id, b.existingStatus]));
+
+    assert.deepEqual(status, { 3001: 'present', 3004: 'new', 3005: 'new', 3006: 'partial', 3007: 'new' });
+  });
+});
+
+describe('parallel bridges', () => {
+  const result = analyze('parallel-bridges');
+
+  it('keeps the bridge closest to the route', () => {
+    assertBrunnels(result.brunnels, [
+      { id: 4001, type: 'bridge', start: 0.2, end: 0.3 },
+      { id: 4005, type: 'bridge', start: 0.52, end: 0.58 }
+    ]);
+  });
+
+  it('records why the others were dropped', () => {
+    assert.deepEqual(exclusionReasons(result), {
+      4002: 'alternative',
+      4003: 'outlier',
+      4004: 'alternative'
+    });
+  });
+
+  it('drops side bridges outside a narrower route buffer as outliers', () => {
+    const narrow = analyze('parallel-bridges', { routeBuffer: 1.5 });
+    assert.deepEqual(exclusionReasons(narrow), {
+      4002: 'outlier',
+      4003: 'outlier',
+      4004: 'outlier'
+    });
+  });
+
+  it('includes an alternative the user forced, merged with the overlapping bridge', () => {
+    const forced = analyze('parallel-bridges', { forceInclude: [4004] });
+    assertBrunnels(forced.brunnels, [
+      { id: 4001, type: 'bridge', start: 0.2, end: 0.3 },
+      { id: 4004, type: 'bridge', start: 0.5, end: 0.58 }
+    ]);
+    assert.ok(forced.brunnels.find(b => b.osmId === 4004).forced);
+    assert.deepEqual(Object.keys(exclusionReasons(forced)), ['4002', '4003']);
+  });
+
+  it('reports the merged parts with their own spans', () => {
+    const forced = analyze('parallel-bridges', { forceInclude: [4004] });
+    const span = id => forced.candidates.find(c => c.osmId === id).routeSpan;
+    assert.ok(Math.abs(span(4004).endDistance - 0.56) < 0.002);
+    assert.ok(Math.abs(span(4005).startDistance - 0.52) < 0.002);
+  });
+});
+
+describe('tunnel under bridge', () => {
+  const result = analyze('tunnel-under-bridge');
+
+  it('keeps the brunnels the route itself goes over and through', () => {
+    assertBrunnels(result.brunnels, [
+      { id: 5001, type: 'bridge', start: 0.2, end: 0.3 },
+      { id: 5004, type: 'tunnel', start: 0.6, end: 0.7 }
+    ]);
+  });
+
+  it('excludes the ways crossing above and below', () => {
+    assert.deepEqual(exclusionReasons(result), {
+      5002: 'outlier',
+      5003: 'alternative',
+      5005: 'outlier',
+      5006: 'misaligned'
+    });
+  });
+});
+
+describe('terrain', () => {
+  const result = analyze('terrain');
+
+  it('measures the valley under the viaduct and the hill over the tunnel', () => {
+    const terrain = Object.fromEntries(result.brunnels.map(b => [b.id, b.terrain]));
+    assert.deepEqual(terrain[6001], {
+      dipMeters: 6, humpMeters: null, startGradeChange: 0, endGradeChange: 0, flag: null
+    });
+    assert.deepEqual(terrain[6002], {
+      dipMeters: null, humpMeters: 30, startGradeChange: 0, endGradeChange: 0, flag: 'high-impact'
+    });
+  });
+});
+
+describe('crossing', () => {
+  it('excludes the misaligned pass and keeps the aligned one', () => {
+    const result = analyze('crossing');
+    assertBrunnels(result.brunnels, [{ id: '7001:2', type: 'bridge', start: 2.098, end: 2.103 }]);
+    assert.deepEqual(exclusionReasons(result), { '7001:1': 'misaligned' });
+  });
+
+  it('forces only the pass the user included', () => {
+    const forced = analyze('crossing', { forceInclude: ['7001:1'] });
+    assert.deepEqual(forced.brunnels.map(b => [b.id, b.forced]), [['7001:1', true], ['7001:2', false]]);
+
+    const byWayId = analyze('crossing', { forceInclude: [7001] });
+    assert.deepEqual(exclusionReasons(byWayId), { '7001:1': 'misaligned' });
+  });
+});
+
+describe('candidates', () => {
+  it('lists every candidate pass with its outcome', () => {
+    const result = analyze('parallel-bridges');
+    const outcome = Object.fromEntries(result.candidates.map(c => [c.id, c.exclusionReason]));
+    assert.deepEqual(outcome, {
+      4001: null,
+      4002: 'alternative',
+      4003: 'outlier',
+      4004: 'alternative',
+      4005: null
+    });
+  });
+});